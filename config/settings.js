@@ -1,3 +1,7 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
 const defaultSettings = {
     // Risk settings
     maxRiskTolerance: 0.7,
@@ -5,10 +9,96 @@ const defaultSettings = {
     maxSlippage: 0.005,
     rebalanceThreshold: 0.1,
     
+    // Pool risk model (src/riskmodel.js) used by every risk score. smartContract, liquidity, volatility and
+    // asset are averaged by weight; chain and impermanentLoss are added on top, scaled by their weight.
+    // liquidity.tiers are [maxTvl, score] pairs; pools at or above the last tier score deepScore
+    riskModel: {
+        weights: { smartContract: 1, liquidity: 1, volatility: 1, asset: 1, chain: 1, impermanentLoss: 1 },
+        smartContract: {
+            base: 0.5,
+            auditCredit: 0.2,
+            newDays: 90,
+            newPenalty: 0.3,
+            matureDays: 365,
+            matureCredit: 0.1,
+            largeTvl: 1000000000,
+            largeTvlCredit: 0.1
+        },
+        liquidity: { tiers: [[1000000, 0.8], [10000000, 0.5], [100000000, 0.3]], deepScore: 0.1 },
+        volatility: { scale: 10, missingScore: 0.5 },
+        levels: { low: 0.3, medium: 0.6 }
+    },
+    
     // Portfolio settings
     maxPositions: 10,
     minPositionSize: 100,
-    maxSingleProtocolAllocation: 0.4,
+    maxSingleProtocolAllocation: 0.4, // Look-through: includes pools that deploy into the protocol
+    maxSingleAssetExposure: 0.6, // Look-through share of the portfolio in any one underlying token
+    allocationMode: 'mean-variance', // or 'greedy'
+    holdingPeriodDays: 90, // Horizon over which entry/exit costs are amortized
+    portfolioStorePath: 'data/portfolio.json',
+    timeSeriesStorePath: 'data/timeseries.jsonl', // Every live pool snapshot, one JSON point per line
+    withdrawalDelays: {}, // Backtests: ms from withdrawing to the funds being spendable, by protocol id
+    strategyFiles: [], // JSON/YAML custom strategy files loaded at startup (src/strategyloader.js)
+    paperTradingPath: 'data/paper.json', // Simulated book that plans fill into when enableTestMode is on
+    
+    // Price assumptions shared by the stress simulation and impermanent loss estimates (annual volatilities;
+    // priceCorrelation is between any two non-stable tokens)
+    stableTokens: ['USDC', 'USDT', 'DAI', 'FRAX', 'LUSD', 'TUSD', 'USDP', 'GUSD', 'SUSD', 'CRVUSD', '3CRV'],
+    priceVolatility: 0.6,
+    stablePriceVolatility: 0.01,
+    priceCorrelation: 0.7,
+    
+    // Underlying-asset metadata for asset risk (src/assets.js). collateral: native, fiat, crypto, staked,
+    // custodial, hybrid or algorithmic; issuer: native, regulated, decentralized, liquid-staking, custodian or
+    // offshore; peg: 'USD' to measure peg deviation from recorded prices; underlying: wrapper/LP constituents;
+    // protocol: the protocol whose LP token it is
+    assets: {
+        ETH: { collateral: 'native', issuer: 'native' },
+        WETH: { collateral: 'native', issuer: 'native' },
+        MATIC: { collateral: 'native', issuer: 'native' },
+        stETH: { collateral: 'staked', issuer: 'liquid-staking' },
+        WBTC: { collateral: 'custodial', issuer: 'custodian' },
+        USDC: { collateral: 'fiat', issuer: 'regulated', peg: 'USD' },
+        USDP: { collateral: 'fiat', issuer: 'regulated', peg: 'USD' },
+        GUSD: { collateral: 'fiat', issuer: 'regulated', peg: 'USD' },
+        USDT: { collateral: 'fiat', issuer: 'offshore', peg: 'USD' },
+        TUSD: { collateral: 'fiat', issuer: 'offshore', peg: 'USD' },
+        DAI: { collateral: 'crypto', issuer: 'decentralized', peg: 'USD' },
+        LUSD: { collateral: 'crypto', issuer: 'decentralized', peg: 'USD' },
+        crvUSD: { collateral: 'crypto', issuer: 'decentralized', peg: 'USD' },
+        sUSD: { collateral: 'crypto', issuer: 'decentralized', peg: 'USD' },
+        FRAX: { collateral: 'hybrid', issuer: 'decentralized', peg: 'USD' },
+        '3Crv': { underlying: ['DAI', 'USDC', 'USDT'], protocol: 'curve' },
+        steCRV: { underlying: ['ETH', 'stETH'], protocol: 'curve' }
+    },
+    
+    // Look-through dependency graph (src/dependencies.js): the protocols each protocol deploys into and the
+    // price oracles it relies on. Tokens with a `protocol` in assets (LP tokens) add that protocol as well
+    protocolDependencies: {
+        yearn: { protocols: ['aave', 'compound'], oracles: [] },
+        aave: { protocols: [], oracles: ['chainlink'] },
+        compound: { protocols: [], oracles: ['chainlink'] },
+        curve: { protocols: [], oracles: [] },
+        'uniswap-v2': { protocols: [], oracles: [] }
+    },
+    
+    // Monte Carlo stress simulation (src/montecarlo.js). Volatilities and event probabilities are annual;
+    // a depeg hits every holding of a stable token at once, an exploit hits one pool
+    monteCarlo: {
+        paths: 2000,
+        horizonDays: 90,
+        seed: 42,
+        apyVolatility: 0.5,
+        depegProbability: 0.03,
+        depegLoss: 0.1,
+        exploitProbability: 0.02,
+        exploitLoss: 0.5
+    },
+    
+    // Local REST API (src/server.js); keep it on loopback unless it sits behind an authenticating proxy
+    apiPort: 8080,
+    apiHost: '127.0.0.1',
     
     // Update intervals
     priceUpdateInterval: 300000, // 5 minutes
@@ -26,6 +116,18 @@ const defaultSettings = {
     // Network settings
     defaultNetwork: 'mainnet',
     rpcTimeout: 30000,
+    enabledChains: [1, 10, 42161, 8453, 137],
+    
+    // Per-chain settings. RPC URLs come from RPC_URL (mainnet) or RPC_URL_<NAME>, e.g. RPC_URL_ARBITRUM.
+    // gasPriceGwei is the fallback when no live gas price is available; l1FeeUsd approximates the
+    // L1 data fee a rollup adds per transaction; riskPremium is added to pool risk scores on that chain.
+    chains: {
+        1: { name: 'mainnet', label: 'Ethereum', nativeToken: 'ETH', gasPriceGwei: 20, l1FeeUsd: 0, riskPremium: 0 },
+        10: { name: 'optimism', label: 'Optimism', nativeToken: 'ETH', gasPriceGwei: 0.005, l1FeeUsd: 0.05, riskPremium: 0.05 },
+        42161: { name: 'arbitrum', label: 'Arbitrum', nativeToken: 'ETH', gasPriceGwei: 0.01, l1FeeUsd: 0.05, riskPremium: 0.05 },
+        8453: { name: 'base', label: 'Base', nativeToken: 'ETH', gasPriceGwei: 0.005, l1FeeUsd: 0.05, riskPremium: 0.05 },
+        137: { name: 'polygon', label: 'Polygon', nativeToken: 'MATIC', gasPriceGwei: 50, l1FeeUsd: 0, riskPremium: 0.1 }
+    },
     
     // Notification settings
     enableNotifications: false,
@@ -37,41 +139,493 @@ const defaultSettings = {
     
     // Security
     requireConfirmation: true,
-    enableTestMode: false
+    enableTestMode: false // Paper trading: execute fills plans into the simulated book, nothing is sent
 };
 
+const fraction = { type: 'number', min: 0, max: 1 };
+const nonNegative = { type: 'number', min: 0 };
+const stringList = { type: 'array', items: { type: 'string' } };
+
+// Type and range of every setting. Each layer is checked against it as it is applied, so an error names
+// the file, profile or environment variable the bad value came from. Objects list their keys in `fields`
+// (any subset may be given) or, for maps keyed by name or id, the rule for every value in `entries`
+const settingsSchema = {
+    maxRiskTolerance: { type: 'number', min: 0, max: 1 },
+    minAPY: { type: 'number', min: 0 },
+    maxSlippage: { type: 'number', min: 0, max: 0.1 },
+    rebalanceThreshold: { type: 'number', min: 0, max: 1 },
+    riskModel: {
+        type: 'object',
+        fields: {
+            weights: {
+                type: 'object',
+                fields: {
+                    smartContract: nonNegative,
+                    liquidity: nonNegative,
+                    volatility: nonNegative,
+                    asset: nonNegative,
+                    chain: nonNegative,
+                    impermanentLoss: nonNegative
+                }
+            },
+            smartContract: {
+                type: 'object',
+                fields: {
+                    base: fraction,
+                    auditCredit: fraction,
+                    newDays: nonNegative,
+                    newPenalty: fraction,
+                    matureDays: nonNegative,
+                    matureCredit: fraction,
+                    largeTvl: nonNegative,
+                    largeTvlCredit: fraction
+                }
+            },
+            liquidity: {
+                type: 'object',
+                fields: {
+                    tiers: { type: 'array', items: { type: 'array', items: nonNegative } },
+                    deepScore: fraction
+                }
+            },
+            volatility: { type: 'object', fields: { scale: nonNegative, missingScore: fraction } },
+            levels: { type: 'object', fields: { low: fraction, medium: fraction } }
+        }
+    },
+    maxPositions: { type: 'integer', min: 1 },
+    minPositionSize: { type: 'number', min: 0 },
+    maxSingleProtocolAllocation: { type: 'number', above: 0, max: 1 },
+    maxSingleAssetExposure: { type: 'number', above: 0, max: 1 },
+    allocationMode: { type: 'string', values: ['mean-variance', 'greedy'] },
+    holdingPeriodDays: { type: 'number', above: 0 },
+    portfolioStorePath: { type: 'string' },
+    timeSeriesStorePath: { type: 'string' },
+    withdrawalDelays: { type: 'object', entries: { type: 'number', min: 0 } },
+    strategyFiles: stringList,
+    paperTradingPath: { type: 'string' },
+    stableTokens: stringList,
+    priceVolatility: { type: 'number', min: 0 },
+    stablePriceVolatility: { type: 'number', min: 0 },
+    priceCorrelation: { type: 'number', min: -1, max: 1 },
+    assets: {
+        type: 'object',
+        entries: {
+            type: 'object',
+            fields: {
+                collateral: { type: 'string', values: ['native', 'fiat', 'crypto', 'staked', 'custodial', 'hybrid', 'algorithmic'] },
+                issuer: { type: 'string', values: ['native', 'regulated', 'decentralized', 'liquid-staking', 'custodian', 'offshore'] },
+                peg: { type: 'string', values: ['USD'] },
+                underlying: stringList,
+                protocol: { type: 'string' }
+            }
+        }
+    },
+    protocolDependencies: { type: 'object', entries: { type: 'object', fields: { protocols: stringList, oracles: stringList } } },
+    monteCarlo: {
+        type: 'object',
+        fields: {
+            paths: { type: 'integer', min: 1 },
+            horizonDays: { type: 'integer', min: 1 },
+            seed: { type: 'integer' },
+            apyVolatility: nonNegative,
+            depegProbability: fraction,
+            depegLoss: fraction,
+            exploitProbability: fraction,
+            exploitLoss: fraction
+        }
+    },
+    apiPort: { type: 'integer', min: 0, max: 65535 },
+    apiHost: { type: 'string' },
+    priceUpdateInterval: { type: 'integer', min: 1 },
+    protocolDataUpdateInterval: { type: 'integer', min: 1 },
+    defaultProtocols: stringList,
+    defaultNetwork: { type: 'string' },
+    rpcTimeout: { type: 'integer', min: 1 },
+    enabledChains: { type: 'array', items: { type: 'integer' } },
+    chains: {
+        type: 'object',
+        entries: {
+            type: 'object',
+            fields: {
+                name: { type: 'string' },
+                label: { type: 'string' },
+                nativeToken: { type: 'string' },
+                gasPriceGwei: nonNegative,
+                l1FeeUsd: nonNegative,
+                riskPremium: fraction,
+                rpcUrl: { type: 'string' }
+            }
+        }
+    },
+    enableNotifications: { type: 'boolean' },
+    notificationThreshold: { type: 'number', min: 0 },
+    maxApiCalls: { type: 'integer', min: 1 },
+    apiCallWindow: { type: 'integer', min: 1 },
+    requireConfirmation: { type: 'boolean' },
+    enableTestMode: { type: 'boolean' }
+};
+
+// Named profiles, applied over the config file. A config file's `profiles` section adds profiles and
+// extends these
+const defaultProfiles = {
+    paper: { enableTestMode: true },
+    prod: { enableTestMode: false, requireConfirmation: true }
+};
+
+// Variables from .env.example that predate the DEFI_<SETTING> naming. DEFAULT_RISK_TOLERANCE also
+// accepts low, medium or high
+const LEGACY_ENV = {
+    DEFAULT_RISK_TOLERANCE: 'maxRiskTolerance',
+    MIN_APY_THRESHOLD: 'minAPY',
+    MAX_SLIPPAGE: 'maxSlippage'
+};
+const RISK_TOLERANCE_LEVELS = { low: 0.3, medium: 0.6, high: 0.9 };
+
+const DEFAULT_CONFIG_FILE = 'config/local.json';
+
+// minAPY -> DEFI_MIN_APY, maxSingleAssetExposure -> DEFI_MAX_SINGLE_ASSET_EXPOSURE
+function envName(key) {
+    return `DEFI_${key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}`;
+}
+
+function describeType(rule) {
+    if (rule.type === 'array') return `a list of ${rule.items.type === 'array' ? 'list' : rule.items.type}s`;
+    if (rule.type === 'object') return 'an object';
+    if (rule.type === 'integer') return 'a whole number';
+    return `a ${rule.type}`;
+}
+
+// { name, message, value } for the first part of `value` that does not match its rule, or null. `name` is the
+// dotted path to it, e.g. monteCarlo.paths or chains.10.riskPremium
+function checkValue(value, rule, name) {
+    const problem = message => ({ name, message, value });
+
+    if (rule.type === 'number' || rule.type === 'integer') {
+        if (typeof value !== 'number' || !Number.isFinite(value) || (rule.type === 'integer' && !Number.isInteger(value))) {
+            return problem(`must be ${describeType(rule)}`);
+        }
+        if (rule.above !== undefined && !(value > rule.above)) return problem(`must be above ${rule.above}`);
+        if (rule.min !== undefined && value < rule.min) return problem(`must be at least ${rule.min}`);
+        if (rule.max !== undefined && value > rule.max) return problem(`must be at most ${rule.max}`);
+        return null;
+    }
+
+    if (rule.type === 'array') {
+        if (!Array.isArray(value)) return problem(`must be ${describeType(rule)}`);
+        const bad = value.find(item => checkValue(item, rule.items, name) !== null);
+        return bad !== undefined ? problem(`must be ${describeType(rule)} (${JSON.stringify(bad)} is not)`) : null;
+    }
+
+    if (rule.type === 'object') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return problem(`must be ${describeType(rule)}`);
+        for (const key of Object.keys(value)) {
+            const fieldRule = rule.entries || (rule.fields && rule.fields[key]);
+            if (!fieldRule) {
+                if (!rule.fields) continue;
+                return problem(`has unknown key ${key}. Known: ${Object.keys(rule.fields).join(', ')}`);
+            }
+            const nested = checkValue(value[key], fieldRule, `${name}.${key}`);
+            if (nested) return nested;
+        }
+        return null;
+    }
+
+    if (typeof value !== rule.type) return problem(`must be ${describeType(rule)}`);
+    if (rule.values && !rule.values.includes(value)) return problem(`must be one of ${rule.values.join(', ')}`);
+    return null;
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Object settings are merged key by key over the layer below, so a layer only needs to name what it changes;
+// arrays and other values replace what was there
+function mergeSettings(base, value) {
+    if (!isPlainObject(base) || !isPlainObject(value)) return value;
+
+    const merged = { ...base };
+    for (const [key, item] of Object.entries(value)) {
+        merged[key] = mergeSettings(base[key], item);
+    }
+    return merged;
+}
+
+// Converts text from an environment variable or the CLI to the setting's type. Values that do not
+// convert are returned as is, so validation reports them
+function parseValue(key, text) {
+    const rule = settingsSchema[key];
+    if (!rule || typeof text !== 'string') return text;
+
+    if (rule.type === 'number' || rule.type === 'integer') {
+        return text.trim() !== '' && !isNaN(text) ? Number(text) : text;
+    }
+    if (rule.type === 'boolean') {
+        return text === 'true' ? true : text === 'false' ? false : text;
+    }
+    if (rule.type === 'object' || (rule.type === 'array' && text.trim().startsWith('['))) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return text;
+        }
+    }
+    if (rule.type === 'array') {
+        const items = text.split(',').map(item => item.trim()).filter(item => item !== '');
+        return rule.items.type === 'string' ? items : items.map(item => (isNaN(item) ? item : Number(item)));
+    }
+    return text;
+}
+
+function readSettingsFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    try {
+        const data = /\.ya?ml$/i.test(filePath) ? yaml.load(text) : JSON.parse(text);
+        return data || {};
+    } catch (error) {
+        throw new Error(`Cannot parse config file ${filePath}: ${error.message}`);
+    }
+}
+
+// Settings are layered: defaults, then the config file (options.file, CONFIG_FILE or config/local.json when it
+// exists), then a named profile (options.profile or CONFIG_PROFILE), then environment variables
+// (DEFI_<SETTING> and the legacy names above), then overrides: the constructor object and anything `set` later.
+// getSource tells which layer a value came from
 class ConfigManager {
-    constructor(userConfig = {}) {
-        this.config = { ...defaultSettings, ...userConfig };
+    constructor(userConfig = {}, options = {}) {
+        this.env = options.env || process.env;
+        this.filePath = options.file || this.env.CONFIG_FILE || DEFAULT_CONFIG_FILE;
+        this.profile = options.profile || this.env.CONFIG_PROFILE || null;
+        this.overrides = {};
+        this.config = { ...defaultSettings };
+        this.sources = {};
+        for (const key of Object.keys(defaultSettings)) {
+            this.sources[key] = { layer: 'default' };
+        }
+        
+        const file = this.loadFile(this.filePath, Boolean(options.file || this.env.CONFIG_FILE));
+        this.fileSettings = file;
+        const fileValues = { ...file };
+        delete fileValues.profiles;
+        this.applyLayer(fileValues, { layer: 'file', detail: this.filePath });
+        
+        if (this.profile) {
+            this.applyLayer(this.getProfile(this.profile), { layer: 'profile', detail: this.profile });
+        }
+        
+        this.applyEnv();
+        this.applyLayer(userConfig, { layer: 'override' });
+        Object.assign(this.overrides, userConfig);
         this.validate();
     }
     
+    // A missing file is only an error when it was asked for explicitly
+    loadFile(filePath, required) {
+        if (!fs.existsSync(filePath)) {
+            if (required) {
+                throw new Error(`Config file ${filePath} not found`);
+            }
+            return {};
+        }
+        
+        const data = readSettingsFile(filePath);
+        if (typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error(`Config file ${filePath} must contain an object of settings`);
+        }
+        return data;
+    }
+    
+    getProfiles() {
+        const fileProfiles = this.fileSettings.profiles || {};
+        const names = new Set([...Object.keys(defaultProfiles), ...Object.keys(fileProfiles)]);
+        const profiles = {};
+        for (const name of names) {
+            profiles[name] = mergeSettings(defaultProfiles[name] || {}, fileProfiles[name] || {});
+        }
+        return profiles;
+    }
+    
+    getProfile(name) {
+        const profiles = this.getProfiles();
+        if (!profiles[name]) {
+            throw new Error(`Unknown config profile ${name}. Available: ${Object.keys(profiles).join(', ')}`);
+        }
+        return profiles[name];
+    }
+    
+    applyEnv() {
+        for (const key of Object.keys(settingsSchema)) {
+            const name = envName(key);
+            if (this.env[name] !== undefined && this.env[name] !== '') {
+                this.applyLayer({ [key]: parseValue(key, this.env[name]) }, { layer: 'env', detail: name });
+            }
+        }
+        
+        for (const [name, key] of Object.entries(LEGACY_ENV)) {
+            const text = this.env[name];
+            // DEFI_<SETTING> wins over the legacy name
+            if (text === undefined || text === '' || this.env[envName(key)]) continue;
+            
+            const value = RISK_TOLERANCE_LEVELS[text.toLowerCase()] !== undefined && key === 'maxRiskTolerance'
+                ? RISK_TOLERANCE_LEVELS[text.toLowerCase()]
+                : parseValue(key, text);
+            this.applyLayer({ [key]: value }, { layer: 'env', detail: name });
+        }
+    }
+    
+    applyLayer(values, source) {
+        for (const [key, value] of Object.entries(values)) {
+            this.checkSetting(key, value, source);
+            this.config[key] = mergeSettings(this.config[key], value);
+            this.sources[key] = source;
+        }
+    }
+    
+    checkSetting(key, value, source = { layer: 'override' }) {
+        const from = this.describeSource(source);
+        const rule = settingsSchema[key];
+        if (!rule) {
+            throw new Error(`Unknown setting ${key} (from ${from})`);
+        }
+        
+        const problem = checkValue(value, rule, key);
+        if (problem) {
+            throw new Error(`${problem.name} ${problem.message} (got ${JSON.stringify(problem.value)} from ${from})`);
+        }
+    }
+    
     get(key) {
         return this.config[key];
     }
     
+    // Runtime changes, such as the CLI `config` command, are overrides until saved. Objects are merged into
+    // the current value like any other layer
     set(key, value) {
-        this.config[key] = value;
-        this.validate();
+        this.checkSetting(key, value);
+        
+        const previous = { value: this.config[key], source: this.sources[key], override: this.overrides[key], hadOverride: key in this.overrides };
+        this.config[key] = mergeSettings(this.config[key], value);
+        this.sources[key] = { layer: 'override' };
+        this.overrides[key] = mergeSettings(this.overrides[key], value);
+        
+        try {
+            this.validate();
+        } catch (error) {
+            this.config[key] = previous.value;
+            this.sources[key] = previous.source;
+            if (previous.hadOverride) {
+                this.overrides[key] = previous.override;
+            } else {
+                delete this.overrides[key];
+            }
+            throw error;
+        }
+    }
+    
+    getSource(key) {
+        return this.sources[key] || null;
+    }
+    
+    describeSource(source) {
+        return source.detail ? `${source.layer} ${source.detail}` : source.layer;
+    }
+    
+    // Every setting with its value and the layer it came from
+    explain() {
+        return Object.keys(this.config).map(key => ({
+            key,
+            value: this.config[key],
+            source: this.describeSource(this.sources[key])
+        }));
+    }
+    
+    // Writes the overrides into the config file, under the active profile when there is one, keeping
+    // everything else in the file. Returns the keys saved and any an environment variable still overrides
+    save(filePath = this.filePath) {
+        const saved = Object.keys(this.overrides);
+        const data = fs.existsSync(filePath) ? readSettingsFile(filePath) : {};
+        
+        if (this.profile) {
+            data.profiles = data.profiles || {};
+            data.profiles[this.profile] = mergeSettings(data.profiles[this.profile] || {}, this.overrides);
+        } else {
+            Object.assign(data, mergeSettings(data, this.overrides));
+        }
+        
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const text = /\.ya?ml$/i.test(filePath) ? yaml.dump(data) : `${JSON.stringify(data, null, 2)}\n`;
+        fs.writeFileSync(filePath, text);
+        
+        const shadowed = saved.filter(key => this.envSetting(key));
+        const source = this.profile ? { layer: 'profile', detail: this.profile } : { layer: 'file', detail: filePath };
+        for (const key of saved) {
+            this.sources[key] = source;
+        }
+        this.filePath = filePath;
+        this.fileSettings = data;
+        this.overrides = {};
+        
+        return { filePath, profile: this.profile, saved, shadowed };
+    }
+    
+    // The environment variable that sets `key`, if any
+    envSetting(key) {
+        if (this.env[envName(key)]) return envName(key);
+        return Object.keys(LEGACY_ENV).find(name => LEGACY_ENV[name] === key && this.env[name]) || null;
     }
     
     validate() {
-        if (this.config.maxRiskTolerance < 0 || this.config.maxRiskTolerance > 1) {
-            throw new Error('maxRiskTolerance must be between 0 and 1');
+        for (const chainId of this.config.enabledChains) {
+            if (!this.config.chains[chainId]) {
+                throw new Error(`enabledChains lists ${chainId}, which has no entry in chains`);
+            }
         }
         
-        if (this.config.minAPY < 0) {
-            throw new Error('minAPY must be positive');
+        // Built-in chains can be partly overridden; a chain added in config needs every field the cost and
+        // risk models and getRpcUrl read
+        for (const [chainId, chain] of Object.entries(this.config.chains)) {
+            if (defaultSettings.chains[chainId]) continue;
+            const missing = ['name', 'label', 'nativeToken', 'gasPriceGwei', 'l1FeeUsd', 'riskPremium']
+                .filter(field => chain[field] === undefined);
+            if (missing.length > 0) {
+                throw new Error(`chains.${chainId} is not a built-in chain, so it needs ${missing.join(', ')}`);
+            }
         }
         
-        if (this.config.maxSlippage < 0 || this.config.maxSlippage > 0.1) {
-            throw new Error('maxSlippage must be between 0 and 0.1');
+        const riskModel = this.config.riskModel || {};
+        for (const [factor, weight] of Object.entries(riskModel.weights || {})) {
+            if (defaultSettings.riskModel.weights[factor] === undefined) {
+                throw new Error(`riskModel.weights has unknown factor ${factor}`);
+            }
+            if (!(weight >= 0)) {
+                throw new Error(`riskModel.weights.${factor} must be at least 0`);
+            }
+        }
+        const levels = { ...defaultSettings.riskModel.levels, ...(riskModel.levels || {}) };
+        if (!(levels.low > 0 && levels.low < levels.medium && levels.medium <= 1)) {
+            throw new Error('riskModel.levels must satisfy 0 < low < medium <= 1');
         }
     }
     
+    getChain(chainId) {
+        const chain = this.config.chains[chainId];
+        if (!chain) {
+            throw new Error(`Unknown chain ${chainId}`);
+        }
+        return { chainId: Number(chainId), ...chain };
+    }
+    
+    getRpcUrl(chainId) {
+        const chain = this.getChain(chainId);
+        if (chain.rpcUrl) return chain.rpcUrl;
+        
+        const envKey = chain.name === 'mainnet' ? 'RPC_URL' : `RPC_URL_${chain.name.toUpperCase()}`;
+        return this.env[envKey] || null;
+    }
+    
     getAll() {
         return { ...this.config };
     }
 }
 
-module.exports = { ConfigManager, defaultSettings };
\ No newline at end of file
+module.exports = { ConfigManager, defaultSettings, defaultProfiles, settingsSchema, parseValue };
\ No newline at end of file
@@ -0,0 +1,64 @@
+const AAVE_V2_LAUNCH = Date.UTC(2020, 11, 3);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SECONDS_PER_YEAR = 31536000;
+const RAY = 1e27;
+
+class AaveAdapter {
+    constructor(api) {
+        this.id = 'aave';
+        this.chains = [1];
+        this.api = api;
+        // rates-history only serves one reserve at a time; markets-data lists every reserve with current rates
+        this.endpoint = 'https://aave-api-v2.aave.com/data/markets-data';
+    }
+
+    async fetchPools() {
+        console.log('Fetching Aave data...');
+        const data = await this.api.makeRequest(this.endpoint);
+
+        return {
+            ...data,
+            fetchedAt: Date.now()
+        };
+    }
+
+    normalize(payload) {
+        if (!payload || !Array.isArray(payload.reserves)) {
+            throw new Error('Aave payload is missing the reserves list');
+        }
+
+        const fetchedAt = payload.fetchedAt || Date.now();
+        const ageInDays = Math.floor((fetchedAt - AAVE_V2_LAUNCH) / DAY_MS);
+
+        return payload.reserves
+            .filter(reserve => reserve.isActive !== false)
+            .map(reserve => {
+                const supplyAPY = this.rateToAPY(reserve.liquidityRate);
+
+                return {
+                    name: `Aave ${reserve.symbol}`,
+                    protocol: 'Aave',
+                    apy: supplyAPY,
+                    supplyAPY,
+                    borrowAPY: this.rateToAPY(reserve.variableBorrowRate),
+                    stableBorrowAPY: this.rateToAPY(reserve.stableBorrowRate),
+                    tvl: parseFloat(reserve.totalLiquidityUSD) || 0,
+                    token: reserve.symbol,
+                    tokenAddress: reserve.underlyingAsset,
+                    poolAddress: reserve.aTokenAddress,
+                    audited: true,
+                    ageInDays
+                };
+            });
+    }
+
+    // Aave quotes APRs compounded per second, either as decimals or in ray units
+    rateToAPY(rate) {
+        let apr = parseFloat(rate) || 0;
+        if (apr > 1e9) apr = apr / RAY;
+
+        return Math.pow(1 + apr / SECONDS_PER_YEAR, SECONDS_PER_YEAR) - 1;
+    }
+}
+
+module.exports = AaveAdapter;
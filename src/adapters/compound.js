@@ -0,0 +1,69 @@
+const COMPOUND_V2_LAUNCH = Date.UTC(2019, 4, 7);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class CompoundAdapter {
+    constructor(api) {
+        this.id = 'compound';
+        this.chains = [1];
+        this.api = api;
+        this.endpoint = 'https://api.compound.finance/api/v2/ctoken';
+    }
+
+    async fetchPools() {
+        console.log('Fetching Compound data...');
+        const [data, ethPrice] = await Promise.all([
+            this.api.makeRequest(this.endpoint),
+            this.api.fetchTokenPrice('ethereum')
+        ]);
+
+        // underlying_price is quoted in ETH, so the USD rate is recorded alongside the payload
+        return {
+            ...data,
+            ethPriceUsd: ethPrice.price,
+            fetchedAt: Date.now()
+        };
+    }
+
+    normalize(payload) {
+        if (!payload || !Array.isArray(payload.cToken)) {
+            throw new Error('Compound payload is missing the cToken list');
+        }
+
+        if (!payload.ethPriceUsd) {
+            throw new Error('Compound payload is missing ethPriceUsd');
+        }
+
+        const fetchedAt = payload.fetchedAt || Date.now();
+        const ageInDays = Math.floor((fetchedAt - COMPOUND_V2_LAUNCH) / DAY_MS);
+
+        return payload.cToken.map(market => {
+            const cash = this.readValue(market.cash);
+            const borrows = this.readValue(market.total_borrows);
+            const reserves = this.readValue(market.reserves);
+            const priceUsd = this.readValue(market.underlying_price) * payload.ethPriceUsd;
+            const supplyAPY = this.readValue(market.supply_rate);
+
+            return {
+                name: `Compound ${market.underlying_symbol}`,
+                protocol: 'Compound',
+                apy: supplyAPY,
+                supplyAPY,
+                borrowAPY: this.readValue(market.borrow_rate),
+                tvl: Math.max(0, cash + borrows - reserves) * priceUsd,
+                token: market.underlying_symbol,
+                tokenAddress: market.underlying_address,
+                poolAddress: market.token_address,
+                audited: true,
+                ageInDays
+            };
+        });
+    }
+
+    readValue(field) {
+        if (field === undefined || field === null) return 0;
+        const value = typeof field === 'object' ? field.value : field;
+        return parseFloat(value) || 0;
+    }
+}
+
+module.exports = CompoundAdapter;
@@ -0,0 +1,79 @@
+const CURVE_LAUNCH = Date.UTC(2020, 0, 19);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Curve's API names networks instead of using chain ids
+const NETWORKS = {
+    1: 'ethereum',
+    10: 'optimism',
+    42161: 'arbitrum',
+    8453: 'base',
+    137: 'polygon'
+};
+
+class CurveAdapter {
+    constructor(api) {
+        this.id = 'curve';
+        this.api = api;
+        this.chains = Object.keys(NETWORKS).map(Number);
+        this.baseUrl = 'https://api.curve.fi/api';
+    }
+
+    async fetchPools(chainId = 1) {
+        console.log(`Fetching Curve data (chain ${chainId})...`);
+        const network = NETWORKS[chainId];
+        const [pools, baseApys] = await Promise.all([
+            this.api.makeRequest(`${this.baseUrl}/getPools/${network}/main`),
+            this.api.makeRequest(`${this.baseUrl}/getBaseApys/${network}`)
+        ]);
+
+        return {
+            poolData: pools.data.poolData,
+            baseApys: baseApys.data.baseApys,
+            fetchedAt: Date.now()
+        };
+    }
+
+    normalize(payload) {
+        if (!payload || !Array.isArray(payload.poolData)) {
+            throw new Error('Curve payload is missing poolData');
+        }
+
+        const fetchedAt = payload.fetchedAt || Date.now();
+        const baseApys = new Map(
+            (payload.baseApys || []).map(entry => [entry.address.toLowerCase(), entry])
+        );
+
+        return payload.poolData.map(pool => {
+            const base = baseApys.get(pool.address.toLowerCase());
+            // Curve reports APYs in percent; the weekly figure smooths out single-day volume spikes
+            const baseAPY = base ? (parseFloat(base.latestWeeklyApyPcent) || 0) / 100 : 0;
+
+            // gaugeCrvApy is [unboosted, max boosted]; assume no veCRV boost
+            const crvAPY = Array.isArray(pool.gaugeCrvApy) ? (pool.gaugeCrvApy[0] || 0) / 100 : 0;
+            const extraRewards = pool.gaugeRewards || [];
+            const extraAPY = extraRewards.reduce((sum, reward) => sum + (reward.apy || 0) / 100, 0);
+
+            const rewardTokens = [];
+            if (crvAPY > 0) rewardTokens.push('CRV');
+            extraRewards.forEach(reward => rewardTokens.push(reward.symbol));
+
+            const created = pool.creationTs ? pool.creationTs * 1000 : CURVE_LAUNCH;
+
+            return {
+                name: `Curve ${pool.name}`,
+                protocol: 'Curve',
+                apy: baseAPY + crvAPY + extraAPY,
+                baseAPY,
+                rewardAPY: crvAPY + extraAPY,
+                rewardTokens,
+                tvl: parseFloat(pool.usdTotal) || 0,
+                token: pool.coins.map(coin => coin.symbol).join('-'),
+                poolAddress: pool.address,
+                audited: true,
+                ageInDays: Math.floor((fetchedAt - created) / DAY_MS)
+            };
+        });
+    }
+}
+
+module.exports = CurveAdapter;
@@ -0,0 +1,28 @@
+const AdapterRegistry = require('./registry');
+const CompoundAdapter = require('./compound');
+const AaveAdapter = require('./aave');
+const UniswapV2Adapter = require('./uniswap-v2');
+const CurveAdapter = require('./curve');
+const YearnAdapter = require('./yearn');
+
+function createDefaultRegistry(api) {
+    const registry = new AdapterRegistry();
+    
+    registry.register(new CompoundAdapter(api));
+    registry.register(new AaveAdapter(api));
+    registry.register(new UniswapV2Adapter(api));
+    registry.register(new CurveAdapter(api));
+    registry.register(new YearnAdapter(api));
+    
+    return registry;
+}
+
+module.exports = {
+    AdapterRegistry,
+    createDefaultRegistry,
+    CompoundAdapter,
+    AaveAdapter,
+    UniswapV2Adapter,
+    CurveAdapter,
+    YearnAdapter
+};
@@ -0,0 +1,53 @@
+class AdapterRegistry {
+    constructor() {
+        this.adapters = new Map();
+    }
+
+    register(adapter) {
+        this.validateAdapter(adapter);
+        this.adapters.set(adapter.id, adapter);
+        return adapter;
+    }
+
+    unregister(id) {
+        return this.adapters.delete(id);
+    }
+
+    get(id) {
+        return this.adapters.get(id);
+    }
+
+    has(id) {
+        return this.adapters.has(id);
+    }
+
+    list() {
+        return Array.from(this.adapters.keys());
+    }
+
+    // Adapters that do not declare chains are assumed to be mainnet-only
+    supportsChain(id, chainId) {
+        const adapter = this.adapters.get(id);
+        return Boolean(adapter) && (adapter.chains || [1]).includes(chainId);
+    }
+
+    validateAdapter(adapter) {
+        if (!adapter || typeof adapter.id !== 'string' || adapter.id.length === 0) {
+            throw new Error('Protocol adapter must have a string id');
+        }
+
+        if (typeof adapter.fetchPools !== 'function') {
+            throw new Error(`Protocol adapter ${adapter.id} must implement fetchPools()`);
+        }
+
+        if (typeof adapter.normalize !== 'function') {
+            throw new Error(`Protocol adapter ${adapter.id} must implement normalize()`);
+        }
+
+        if (adapter.chains !== undefined && !Array.isArray(adapter.chains)) {
+            throw new Error(`Protocol adapter ${adapter.id} chains must be an array of chain ids`);
+        }
+    }
+}
+
+module.exports = AdapterRegistry;
@@ -0,0 +1,45 @@
+class UniswapV2Adapter {
+    constructor(api) {
+        this.id = 'uniswap-v2';
+        this.chains = [1];
+        this.api = api;
+        this.subgraph = 'uniswap/uniswap-v2';
+    }
+
+    async fetchPools() {
+        console.log('Fetching Uniswap V2 data...');
+        const query = `
+        {
+            pairs(first: 50, orderBy: volumeUSD, orderDirection: desc) {
+                id
+                token0 { symbol }
+                token1 { symbol }
+                reserve0
+                reserve1
+                reserveUSD
+                volumeUSD
+            }
+        }`;
+
+        return this.api.makeGraphQuery(this.subgraph, query);
+    }
+
+    normalize(payload) {
+        return (payload.pairs || []).map(pair => ({
+            name: `${pair.token0.symbol}-${pair.token1.symbol}`,
+            protocol: 'Uniswap V2',
+            apy: this.api.calculateLPAPY(parseFloat(pair.volumeUSD), parseFloat(pair.reserveUSD)),
+            tvl: parseFloat(pair.reserveUSD),
+            token: `${pair.token0.symbol}-${pair.token1.symbol}`,
+            volume24h: parseFloat(pair.volumeUSD),
+            // Constant-product pair: LP positions snapshot these to track impermanent loss (src/lp.js)
+            pairAddress: pair.id,
+            tokens: [pair.token0.symbol, pair.token1.symbol],
+            reserves: [parseFloat(pair.reserve0), parseFloat(pair.reserve1)],
+            audited: true,
+            ageInDays: 365
+        }));
+    }
+}
+
+module.exports = UniswapV2Adapter;
@@ -0,0 +1,56 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class YearnAdapter {
+    constructor(api) {
+        this.id = 'yearn';
+        this.api = api;
+        this.chains = [1, 10, 42161, 8453, 137];
+        this.baseUrl = 'https://ydaemon.yearn.fi';
+    }
+
+    async fetchPools(chainId = 1) {
+        console.log(`Fetching Yearn data (chain ${chainId})...`);
+        const vaults = await this.api.makeRequest(`${this.baseUrl}/${chainId}/vaults/all`);
+
+        return {
+            vaults,
+            fetchedAt: Date.now()
+        };
+    }
+
+    normalize(payload) {
+        if (!payload || !Array.isArray(payload.vaults)) {
+            throw new Error('Yearn payload is missing the vault list');
+        }
+
+        const fetchedAt = payload.fetchedAt || Date.now();
+
+        return payload.vaults
+            .filter(vault => !vault.retired)
+            .map(vault => {
+                const apr = vault.apr || {};
+                const baseAPY = apr.netAPR || 0;
+                const rewardAPY = (apr.extra && apr.extra.stakingRewardsAPR) || 0;
+                const rewards = (vault.staking && vault.staking.rewards) || [];
+
+                return {
+                    name: `Yearn ${vault.name}`,
+                    protocol: 'Yearn',
+                    apy: baseAPY + rewardAPY,
+                    baseAPY,
+                    rewardAPY,
+                    rewardTokens: rewardAPY > 0 ? rewards.map(reward => reward.symbol) : [],
+                    tvl: (vault.tvl && vault.tvl.tvl) || 0,
+                    token: vault.token.symbol,
+                    tokenAddress: vault.token.address,
+                    poolAddress: vault.address,
+                    audited: true,
+                    ageInDays: vault.inception
+                        ? Math.floor((fetchedAt - vault.inception * 1000) / DAY_MS)
+                        : 0
+                };
+            });
+    }
+}
+
+module.exports = YearnAdapter;
@@ -0,0 +1,111 @@
+class AllocationEngine {
+    constructor(options = {}) {
+        this.stepSize = options.stepSize || 0.005;
+        // Used as a pool's standard deviation per unit of risk score when no covariance is supplied
+        this.defaultVolatility = options.defaultVolatility || 0.1;
+    }
+
+    // Maximizes w·apy - riskAversion * wᵀΣw by handing out capital in small steps to the pool
+    // with the best marginal gain that keeps every constraint satisfied
+    optimize(pools, totalAmount, constraints) {
+        const minWeight = constraints.minPositionSize / totalAmount;
+        let candidates = pools.slice();
+
+        for (;;) {
+            const weights = this.solve(candidates, constraints);
+            const held = candidates
+                .map((pool, i) => ({ pool, weight: weights[i] }))
+                .filter(entry => entry.weight > 0)
+                .sort((a, b) => b.weight - a.weight);
+
+            const smallest = held[held.length - 1];
+            if (held.length > constraints.maxPositions || (smallest && smallest.weight < minWeight - 1e-9)) {
+                // Drop the weakest holding and re-solve so its capital is redistributed
+                candidates = candidates.filter(pool => pool !== smallest.pool);
+                continue;
+            }
+
+            return held;
+        }
+    }
+
+    solve(pools, constraints) {
+        const n = pools.length;
+        const weights = new Array(n).fill(0);
+        if (n === 0) return weights;
+
+        const risks = pools.map(pool => constraints.riskOf(pool));
+        const covariance = this.buildCovariance(pools, risks, constraints.covariance);
+        // Each pool's share in every capped exposure (look-through protocols and assets when the caller
+        // supplies exposuresOf/capOf); by default only the pool's own protocol, capped at maxProtocolAllocation
+        const exposures = pools.map(pool => Object.entries(constraints.exposuresOf
+            ? constraints.exposuresOf(pool)
+            : { [this.getProtocolKey(pool)]: 1 }));
+        const capOf = constraints.capOf || (() => constraints.maxProtocolAllocation);
+        const caps = new Map(exposures.flat().map(([key]) => [key, capOf(key)]));
+        const exposureWeights = new Map();
+        const step = this.stepSize;
+        let invested = 0;
+        let riskUsed = 0;
+
+        while (invested + step <= 1 + 1e-9) {
+            let best = -1;
+            let bestGain = 0;
+
+            for (let i = 0; i < n; i++) {
+                if (weights[i] + step > constraints.maxSingleAllocation + 1e-9) continue;
+                if (riskUsed + risks[i] * step > constraints.riskBudget + 1e-9) continue;
+
+                const overCap = exposures[i].some(([key, fraction]) => {
+                    const cap = caps.get(key);
+                    return cap !== null && (exposureWeights.get(key) || 0) + fraction * step > cap + 1e-9;
+                });
+                if (overCap) continue;
+
+                let exposure = 0;
+                for (let j = 0; j < n; j++) {
+                    exposure += covariance[i][j] * weights[j];
+                }
+
+                const gain = pools[i].apy * step -
+                    constraints.riskAversion * (2 * exposure * step + covariance[i][i] * step * step);
+
+                if (gain > bestGain) {
+                    bestGain = gain;
+                    best = i;
+                }
+            }
+
+            if (best === -1) break;
+
+            weights[best] += step;
+            for (const [key, fraction] of exposures[best]) {
+                exposureWeights.set(key, (exposureWeights.get(key) || 0) + fraction * step);
+            }
+            riskUsed += risks[best] * step;
+            invested += step;
+        }
+
+        return weights;
+    }
+
+    buildCovariance(pools, risks, supplied = null) {
+        return pools.map((a, i) => pools.map((b, j) => {
+            const row = supplied && supplied[a.name];
+            if (row && row[b.name] !== undefined) {
+                return row[b.name];
+            }
+
+            if (i !== j) return 0;
+
+            const volatility = risks[i] * this.defaultVolatility;
+            return volatility * volatility;
+        }));
+    }
+
+    getProtocolKey(pool) {
+        return pool.protocolId || pool.protocol.toLowerCase();
+    }
+}
+
+module.exports = AllocationEngine;
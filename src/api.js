@@ -1,5 +1,21 @@
 const axios = require('axios');
 
+// CoinGecko ids for the pool tokens our adapters report
+const TOKEN_IDS = {
+    USDC: 'usd-coin',
+    USDT: 'tether',
+    DAI: 'dai',
+    FRAX: 'frax',
+    ETH: 'ethereum',
+    WETH: 'weth',
+    stETH: 'staked-ether',
+    WBTC: 'wrapped-bitcoin',
+    CRV: 'curve-dao-token',
+    COMP: 'compound-governance-token',
+    AAVE: 'aave',
+    MATIC: 'matic-network'
+};
+
 class APIManager {
     constructor() {
         this.apiLimits = new Map();
@@ -36,6 +52,33 @@ class APIManager {
         }
     }
 
+    async makeGraphQuery(subgraph, query, variables = {}) {
+        const url = `${this.endpoints.thegraph}/${subgraph}`;
+        const cacheKey = `${url}:${query}:${JSON.stringify(variables)}`;
+        const cached = this.getFromCache(cacheKey);
+        
+        if (cached) {
+            return cached;
+        }
+
+        try {
+            await this.checkRateLimit(url);
+            const response = await axios.post(url, { query, variables });
+            
+            if (response.data.errors) {
+                throw new Error(response.data.errors.map(e => e.message).join('; '));
+            }
+            
+            this.setCache(cacheKey, response.data.data);
+            this.updateRateLimit(url);
+            
+            return response.data.data;
+        } catch (error) {
+            console.error(`Subgraph query failed for ${subgraph}:`, error.message);
+            throw error;
+        }
+    }
+
     async fetchTokenPrice(tokenId) {
         const url = `${this.endpoints.coingecko}/simple/price`;
         const params = {
@@ -56,6 +99,30 @@ class APIManager {
         }
     }
 
+    async fetchTokenPrices(symbols) {
+        const prices = {};
+        const known = symbols.filter(symbol => TOKEN_IDS[symbol]);
+        if (known.length === 0) return prices;
+
+        const url = `${this.endpoints.coingecko}/simple/price`;
+        const params = {
+            ids: [...new Set(known.map(symbol => TOKEN_IDS[symbol]))].join(','),
+            vs_currencies: 'usd'
+        };
+
+        try {
+            const data = await this.makeRequest(url, { params });
+            for (const symbol of known) {
+                const price = data[TOKEN_IDS[symbol]]?.usd;
+                if (price) prices[symbol] = price;
+            }
+        } catch (error) {
+            console.error(`Failed to fetch prices for ${known.join(', ')}:`, error.message);
+        }
+
+        return prices;
+    }
+
     async fetchProtocolTVL(protocolId) {
         const url = `${this.endpoints.defipulse}/projects/${protocolId}`;
         
@@ -88,10 +155,9 @@ class APIManager {
         }`;
 
         try {
-            const url = `${this.endpoints.thegraph}/uniswap/uniswap-v2`;
-            const response = await axios.post(url, { query });
+            const data = await this.makeGraphQuery('uniswap/uniswap-v2', query);
             
-            return response.data.data.pairs.map(pair => ({
+            return data.pairs.map(pair => ({
                 name: `${pair.token0.symbol}-${pair.token1.symbol}`,
                 protocol: 'Uniswap V2',
                 tvl: parseFloat(pair.reserveUSD),
@@ -135,6 +201,29 @@ class APIManager {
         }
     }
 
+    // Reads eth_gasPrice from a chain's RPC node; returns gwei, or null when the node is unreachable
+    async fetchRpcGasPrice(rpcUrl) {
+        try {
+            await this.checkRateLimit(rpcUrl);
+            const response = await axios.post(rpcUrl, {
+                jsonrpc: '2.0',
+                id: 1,
+                method: 'eth_gasPrice',
+                params: []
+            });
+            this.updateRateLimit(rpcUrl);
+
+            if (response.data.error) {
+                throw new Error(response.data.error.message);
+            }
+
+            return parseInt(response.data.result, 16) / 1e9;
+        } catch (error) {
+            console.error(`Failed to fetch gas price from ${new URL(rpcUrl).hostname}:`, error.message);
+            return null;
+        }
+    }
+
     checkRateLimit(url) {
         const domain = new URL(url).hostname;
         const limit = this.apiLimits.get(domain);
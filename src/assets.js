@@ -0,0 +1,127 @@
+// Risk of the tokens a pool holds, separate from the protocol around them: how each token is backed,
+// who issues it and, for pegged tokens, how far recorded prices have strayed from the peg
+const COLLATERAL_RISK = {
+    native: 0,
+    fiat: 0,
+    crypto: 0.05,
+    staked: 0.05,
+    custodial: 0.1,
+    hybrid: 0.15,
+    algorithmic: 0.4
+};
+
+const ISSUER_RISK = {
+    native: 0,
+    regulated: 0.05,
+    decentralized: 0.05,
+    'liquid-staking': 0.05,
+    custodian: 0.1,
+    offshore: 0.15
+};
+
+const PEG_PRICES = { USD: 1 };
+
+// Tokens without metadata are assumed to be this risky
+const UNKNOWN_ASSET_RISK = 0.25;
+
+class AssetRiskModel {
+    constructor(config, options = {}) {
+        this.config = config;
+        // Optional TimeSeriesStore; without one, peg deviation is not measured
+        this.timeSeries = options.timeSeries || null;
+    }
+
+    getMetadata(token) {
+        const assets = this.config.get('assets');
+        const key = Object.keys(assets).find(symbol => symbol.toUpperCase() === token.toUpperCase());
+        return key ? assets[key] : null;
+    }
+
+    getPoolTokens(pool) {
+        if (Array.isArray(pool.tokens)) return pool.tokens;
+        return pool.token ? pool.token.split(/[-/]/) : [];
+    }
+
+    // Largest and average relative distance from the peg in the recorded prices up to `end`
+    measurePegDeviation(token, peg, end = null) {
+        if (!this.timeSeries || !PEG_PRICES[peg]) return null;
+
+        const prices = this.timeSeries.getTokenPriceHistory(token, null, end);
+        if (prices.length === 0) return null;
+
+        const deviations = prices.map(price => Math.abs(price / PEG_PRICES[peg] - 1));
+        return {
+            max: Math.max(...deviations),
+            average: deviations.reduce((sum, d) => sum + d, 0) / deviations.length,
+            readings: prices.length
+        };
+    }
+
+    assessToken(token, end = null) {
+        const metadata = this.getMetadata(token);
+        if (!metadata) {
+            return {
+                token,
+                score: UNKNOWN_ASSET_RISK,
+                explanation: `${token}: no asset metadata, assumed ${UNKNOWN_ASSET_RISK} risk`
+            };
+        }
+
+        // Wrappers and LP tokens are as risky as their riskiest constituent
+        if (metadata.underlying) {
+            const weakest = metadata.underlying
+                .map(underlying => this.assessToken(underlying, end))
+                .reduce((max, assessment) => (assessment.score > max.score ? assessment : max));
+            return {
+                token,
+                score: weakest.score,
+                underlying: metadata.underlying,
+                explanation: `${token}: holds ${metadata.underlying.join(', ')}; weakest is ${weakest.explanation}`
+            };
+        }
+
+        const collateralRisk = COLLATERAL_RISK[metadata.collateral] !== undefined ? COLLATERAL_RISK[metadata.collateral] : UNKNOWN_ASSET_RISK;
+        const issuerRisk = ISSUER_RISK[metadata.issuer] !== undefined ? ISSUER_RISK[metadata.issuer] : UNKNOWN_ASSET_RISK;
+        const pegDeviation = metadata.peg ? this.measurePegDeviation(token, metadata.peg, end) : null;
+        const pegRisk = pegDeviation ? Math.min(1, pegDeviation.max * 10) : 0;
+
+        const details = [`${metadata.collateral || 'unknown'} collateral`, `${metadata.issuer || 'unknown'} issuer`];
+        if (pegDeviation) {
+            details.push(`max ${(pegDeviation.max * 100).toFixed(2)}% off its ${metadata.peg} peg over ${pegDeviation.readings} readings`);
+        } else if (metadata.peg) {
+            details.push(`no price history to check its ${metadata.peg} peg`);
+        }
+
+        return {
+            token,
+            score: Math.min(1, collateralRisk + issuerRisk + pegRisk),
+            collateral: metadata.collateral,
+            issuer: metadata.issuer,
+            peg: metadata.peg || null,
+            pegDeviation,
+            explanation: `${token}: ${details.join(', ')}`
+        };
+    }
+
+    // A pool is as exposed as its riskiest token. `end` limits peg history, so backtests only see the past;
+    // backtest frames carry it as recordedAt
+    assessPool(pool, end = pool.recordedAt || null) {
+        const tokens = this.getPoolTokens(pool).map(token => this.assessToken(token, end));
+        if (tokens.length === 0) {
+            return {
+                score: UNKNOWN_ASSET_RISK,
+                tokens,
+                explanation: `No underlying token recorded for ${pool.name}, assumed ${UNKNOWN_ASSET_RISK} risk`
+            };
+        }
+
+        const weakest = tokens.reduce((max, assessment) => (assessment.score > max.score ? assessment : max));
+        return {
+            score: weakest.score,
+            tokens,
+            explanation: tokens.length > 1 ? `Weakest asset ${weakest.explanation}` : weakest.explanation
+        };
+    }
+}
+
+module.exports = AssetRiskModel;
@@ -1,157 +1,364 @@
+const { DECISION_RULES } = require('./decisions');
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
 class BacktestEngine {
-    constructor(strategies, historicalData) {
+    // historicalData is a time-ordered list of frames: { timestamp, protocols, prices, signals, market? },
+    // as produced by TimeSeriesStore.toBacktestData
+    constructor(strategies, historicalData, options = {}) {
         this.strategies = strategies;
         this.historicalData = historicalData;
         this.results = new Map();
+        this.cash = 0;
+        this.pendingWithdrawals = [];
+
+        // Execution costs: a CostModel prices gas, slippage and protocol fees for each fill, using the
+        // frame's recorded market ({ gasPriceGwei, ethPriceUsd }) or `market` when a frame has none.
+        // Without a cost model, fills are free
+        this.costModel = options.costModel || null;
+        this.market = options.market || null;
+        // Milliseconds between selling and the proceeds becoming spendable, by protocol id
+        this.withdrawalDelays = options.withdrawalDelays || {};
+        // Sweeps run hundreds of backtests; quiet skips the per-run log line
+        this.quiet = options.quiet || false;
+
+        this.decisionRules = new Map(Object.entries(DECISION_RULES));
+        this.decisionOverrides = new Map();
+        this.decisionCache = new Map();
+        this.decisionState = {};
     }
 
     async runBacktest(strategy, startDate, endDate, initialCapital = 10000) {
-        console.log(`Running backtest for ${strategy} strategy...`);
+        if (!this.quiet) console.log(`Running backtest for ${strategy} strategy...`);
         
-        const filteredData = this.filterDataByDate(startDate, endDate);
-        const positions = [];
-        let currentCapital = initialCapital;
-        let portfolio = {};
+        const filteredData = this.filterDataByDate(new Date(startDate), new Date(endDate));
+        if (filteredData.length === 0) {
+            throw new Error(`No historical data between ${startDate} and ${endDate}`);
+        }
+
+        const run = this.startRun(strategy, initialCapital);
+        for (const frame of filteredData) {
+            this.processFrame(run, frame);
+        }
         
-        const results = {
-            strategy,
-            initialCapital,
-            finalCapital: 0,
-            totalReturn: 0,
-            maxDrawdown: 0,
-            sharpeRatio: 0,
-            trades: [],
-            dailyReturns: [],
-            portfolioHistory: []
-        };
+        return this.finishRun(run);
+    }
 
-        for (let i = 0; i < filteredData.length; i++) {
-            const currentData = filteredData[i];
-            const date = new Date(currentData.timestamp);
-            
-            // Strategy decision making
-            const decision = this.makeStrategyDecision(strategy, currentData, portfolio);
-            
-            if (decision.action === 'buy') {
-                const trade = this.executeBuy(decision.protocol, decision.amount, currentData.prices);
-                if (trade) {
-                    positions.push(trade);
-                    currentCapital -= trade.cost;
-                    portfolio[decision.protocol] = (portfolio[decision.protocol] || 0) + trade.amount;
-                    results.trades.push({ ...trade, date, type: 'buy' });
-                }
-            } else if (decision.action === 'sell') {
-                const trade = this.executeSell(decision.protocol, decision.amount, currentData.prices);
-                if (trade) {
-                    currentCapital += trade.proceeds;
-                    portfolio[decision.protocol] -= trade.amount;
-                    results.trades.push({ ...trade, date, type: 'sell' });
-                }
+    // A run's book: token balances, cost basis, the last APY and price seen per pool and the results so far.
+    // Cash, pending withdrawals and decision state live on the engine. PaperTrader keeps one run open across
+    // sessions, so paper trades fill, accrue and score exactly as a backtest does
+    startRun(strategy, initialCapital) {
+        this.cash = initialCapital;
+        this.pendingWithdrawals = [];
+        this.decisionState = {};
+
+        return {
+            portfolio: {},
+            costBasis: {},
+            lastAPY: {},
+            prices: {},
+            lastTimestamp: null,
+            results: {
+                strategy,
+                initialCapital,
+                finalCapital: 0,
+                totalReturn: 0,
+                yieldEarned: 0,
+                costs: { gas: 0, slippage: 0, fees: 0, total: 0 },
+                maxDrawdown: 0,
+                sharpeRatio: 0,
+                trades: [],
+                dailyReturns: [],
+                portfolioHistory: []
             }
-            
-            // Calculate portfolio value
-            const portfolioValue = this.calculatePortfolioValue(portfolio, currentData.prices);
-            const totalValue = currentCapital + portfolioValue;
-            
-            results.portfolioHistory.push({
-                date,
-                capital: currentCapital,
-                portfolioValue,
-                totalValue
+        };
+    }
+
+    processFrame(run, frame) {
+        const { portfolio, results } = run;
+        const date = new Date(frame.timestamp);
+        run.prices = { ...run.prices, ...frame.prices };
+
+        // Held positions earn the APY last seen for their pool over the time since the previous frame
+        if (run.lastTimestamp !== null) {
+            results.yieldEarned += this.accrueYield(portfolio, run.lastAPY, frame.timestamp - run.lastTimestamp, run.prices);
+        }
+        for (const protocol of frame.protocols) {
+            run.lastAPY[protocol.name] = protocol.apy;
+        }
+        this.releaseWithdrawals(frame.timestamp);
+        
+        // Strategy decision making
+        const orders = this.makeStrategyDecision(results.strategy, frame, portfolio, run.prices);
+        for (const order of orders) {
+            this.applyOrder(order, {
+                portfolio,
+                costBasis: run.costBasis,
+                prices: run.prices,
+                trades: results.trades,
+                costs: results.costs,
+                frame,
+                date
             });
-            
-            // Calculate daily return
-            if (i > 0) {
-                const previousValue = results.portfolioHistory[i - 1].totalValue;
-                const dailyReturn = (totalValue - previousValue) / previousValue;
-                results.dailyReturns.push(dailyReturn);
-            }
         }
         
-        // Final calculations
-        const lastPortfolioValue = results.portfolioHistory[results.portfolioHistory.length - 1];
-        results.finalCapital = lastPortfolioValue.totalValue;
-        results.totalReturn = (results.finalCapital - initialCapital) / initialCapital;
+        this.recordValue(run, date);
+        run.lastTimestamp = frame.timestamp;
+    }
+
+    recordValue(run, date) {
+        const { results } = run;
+        const portfolioValue = this.calculatePortfolioValue(run.portfolio, run.prices);
+        const pending = this.getPendingValue();
+        const totalValue = this.cash + pending + portfolioValue;
+        const previous = results.portfolioHistory[results.portfolioHistory.length - 1];
+        
+        results.portfolioHistory.push({
+            date,
+            capital: this.cash,
+            pending,
+            portfolioValue,
+            totalValue
+        });
+        
+        if (previous) {
+            results.dailyReturns.push((totalValue - previous.totalValue) / previous.totalValue);
+        }
+    }
+
+    // Re-values the run's latest point in place, for fills made after its frame was recorded. The day stays
+    // one point and one return sample, so Sharpe and volatility match a run without the extra fills
+    updateLastValue(run) {
+        const { results } = run;
+        const last = results.portfolioHistory.pop();
+        if (!last) return;
+
+        if (results.portfolioHistory.length > 0) {
+            results.dailyReturns.pop();
+        }
+        this.recordValue(run, last.date);
+    }
+
+    finishRun(run) {
+        const { results } = run;
+        const last = results.portfolioHistory[results.portfolioHistory.length - 1];
+        results.finalCapital = last ? last.totalValue : results.initialCapital;
+        results.totalReturn = (results.finalCapital - results.initialCapital) / results.initialCapital;
         results.maxDrawdown = this.calculateMaxDrawdown(results.portfolioHistory);
         results.sharpeRatio = this.calculateSharpeRatio(results.dailyReturns);
+        results.positions = { ...run.portfolio };
+        results.pendingWithdrawals = this.pendingWithdrawals.slice();
         
-        this.results.set(strategy, results);
+        this.results.set(results.strategy, results);
         return results;
     }
 
-    makeStrategyDecision(strategyName, marketData, currentPortfolio) {
+    getAvailableCapital() {
+        return this.cash;
+    }
+
+    getPendingValue() {
+        return this.pendingWithdrawals.reduce((sum, w) => sum + w.amount, 0);
+    }
+
+    // Moves withdrawals whose delay has passed into spendable cash
+    releaseWithdrawals(time) {
+        const ready = this.pendingWithdrawals.filter(w => w.availableAt <= time);
+        this.pendingWithdrawals = this.pendingWithdrawals.filter(w => w.availableAt > time);
+        this.cash += ready.reduce((sum, w) => sum + w.amount, 0);
+    }
+
+    getMarket(frame) {
+        return frame.market || this.market;
+    }
+
+    findPool(frame, name) {
+        return frame.protocols.find(p => p.name === name) || null;
+    }
+
+    // Gas, slippage and fee for one fill; zero without a cost model, market data or pool record
+    estimateTradeCost(pool, usdAmount, market, leg) {
+        if (!this.costModel || !market || !pool) {
+            return { gas: 0, slippage: 0, fee: 0, total: 0 };
+        }
+        return this.costModel.estimateLegCost(pool, usdAmount, market, leg);
+    }
+
+    getWithdrawalDelay(pool) {
+        if (!pool) return 0;
+        return this.withdrawalDelays[pool.protocolId || pool.protocol.toLowerCase()] || 0;
+    }
+
+    // Compounds every held token balance at its pool's APY over `elapsed` ms; returns the USD value earned
+    accrueYield(portfolio, apys, elapsed, prices) {
+        let earned = 0;
+
+        for (const [protocol, amount] of Object.entries(portfolio)) {
+            const apy = apys[protocol] || 0;
+            const grown = amount * Math.pow(1 + apy, elapsed / YEAR_MS);
+            earned += (grown - amount) * (prices[protocol] || 1);
+            portfolio[protocol] = grown;
+        }
+
+        return earned;
+    }
+
+    // Registers a named decision rule: a factory taking rule options and returning a decision function
+    registerDecision(name, factory) {
+        if (typeof factory !== 'function') {
+            throw new Error(`Decision rule ${name} must be a factory function`);
+        }
+        this.decisionRules.set(name, factory);
+    }
+
+    // Overrides the decision logic for one strategy in this engine; accepts anything a strategy's
+    // `decision` field does: a function, a rule name, or { rule, options }
+    useDecision(strategyName, decision) {
+        this.decisionOverrides.set(strategyName, this.resolveDecision(decision));
+    }
+
+    resolveDecision(decision) {
+        if (typeof decision === 'function') return decision;
+
+        const spec = typeof decision === 'string' ? { rule: decision } : decision;
+        const factory = this.decisionRules.get(spec.rule);
+        if (!factory) {
+            throw new Error(`Unknown decision rule ${spec.rule}. Registered: ${Array.from(this.decisionRules.keys()).join(', ')}`);
+        }
+        return factory(spec.options || {});
+    }
+
+    getDecisionFunction(strategyName, strategyConfig) {
+        if (this.decisionOverrides.has(strategyName)) {
+            return this.decisionOverrides.get(strategyName);
+        }
+
+        if (!this.decisionCache.has(strategyName)) {
+            this.decisionCache.set(strategyName, this.resolveDecision(strategyConfig.decision || 'momentum'));
+        }
+        return this.decisionCache.get(strategyName);
+    }
+
+    // Runs the strategy's decision function for one frame and returns its orders as a list.
+    // Buy orders size `amount` in USD to spend; sell orders size it in token units held
+    makeStrategyDecision(strategyName, marketData, currentPortfolio, prices = marketData.prices) {
         const strategyConfig = this.strategies.getStrategy(strategyName);
-        if (!strategyConfig) return { action: 'hold' };
-
-        // Simple momentum strategy implementation
-        if (marketData.signals && marketData.signals.momentum > 0.05) {
-            const bestProtocol = this.findBestProtocol(marketData.protocols, strategyConfig);
-            if (bestProtocol && bestProtocol.apy > strategyConfig.minAPY) {
-                return {
-                    action: 'buy',
-                    protocol: bestProtocol.name,
-                    amount: Math.min(1000, this.getAvailableCapital() * 0.1)
-                };
+        if (!strategyConfig) return [];
+
+        const decide = this.getDecisionFunction(strategyName, strategyConfig);
+        const result = decide({
+            strategyName,
+            strategy: strategyConfig,
+            frame: marketData,
+            portfolio: currentPortfolio,
+            prices,
+            cash: this.getAvailableCapital(),
+            totalValue: this.getAvailableCapital() + this.getPendingValue() + this.calculatePortfolioValue(currentPortfolio, prices),
+            time: marketData.timestamp,
+            state: this.decisionState,
+            engine: this
+        });
+
+        const orders = Array.isArray(result) ? result : [result];
+        return orders.filter(order => order && (order.action === 'buy' || order.action === 'sell'));
+    }
+
+    applyOrder(order, run) {
+        const { portfolio, costBasis, prices, trades, frame, date } = run;
+        const pool = this.findPool(frame, order.protocol);
+        const market = this.getMarket(frame);
+
+        if (order.action === 'buy') {
+            const trade = this.executeBuy(order.protocol, Math.min(order.amount, this.cash), prices, date, pool, market);
+            if (trade) {
+                this.addCosts(run.costs, trade.costs);
+                this.cash -= trade.cost;
+                portfolio[order.protocol] = (portfolio[order.protocol] || 0) + trade.amount;
+                costBasis[order.protocol] = (costBasis[order.protocol] || 0) + trade.cost;
+                trades.push({ ...trade, date, type: 'buy' });
             }
+            return;
         }
-        
-        // Risk management - sell if risk too high
-        for (const [protocol, amount] of Object.entries(currentPortfolio)) {
-            const protocolData = marketData.protocols.find(p => p.name === protocol);
-            if (protocolData && this.assessRisk(protocolData) > strategyConfig.riskTolerance) {
-                return {
-                    action: 'sell',
-                    protocol,
-                    amount: amount * 0.5 // Sell half
-                };
+
+        const held = portfolio[order.protocol] || 0;
+        const trade = this.executeSell(order.protocol, Math.min(order.amount, held), prices, date, pool, market);
+        if (trade) {
+            this.addCosts(run.costs, trade.costs);
+            // Average cost of the units sold, so sells can be scored as wins or losses
+            trade.cost = costBasis[order.protocol] * (trade.amount / held);
+            costBasis[order.protocol] -= trade.cost;
+
+            const delay = this.getWithdrawalDelay(pool);
+            if (delay > 0) {
+                trade.availableAt = new Date(date.getTime() + delay);
+                this.pendingWithdrawals.push({ protocol: order.protocol, amount: trade.proceeds, availableAt: trade.availableAt.getTime() });
+            } else {
+                this.cash += trade.proceeds;
+            }
+            portfolio[order.protocol] = held - trade.amount;
+            if (portfolio[order.protocol] <= 1e-12) {
+                delete portfolio[order.protocol];
+                delete costBasis[order.protocol];
             }
+            trades.push({ ...trade, date, type: 'sell' });
         }
+    }
 
-        return { action: 'hold' };
+    addCosts(totals, costs) {
+        totals.gas += costs.gas;
+        totals.slippage += costs.slippage;
+        totals.fees += costs.fee;
+        totals.total += costs.total;
     }
 
     findBestProtocol(protocols, strategyConfig) {
         return protocols
-            .filter(p => strategyConfig.preferredProtocols.includes(p.protocol.toLowerCase()))
-            .filter(p => p.apy >= strategyConfig.minAPY)
+            .filter(p => this.strategies.isEligible(p, strategyConfig))
             .sort((a, b) => {
-                const aScore = a.apy * (1 - this.assessRisk(a));
-                const bScore = b.apy * (1 - this.assessRisk(b));
+                const aScore = a.apy * (1 - this.assessRisk(a, strategyConfig));
+                const bScore = b.apy * (1 - this.assessRisk(b, strategyConfig));
                 return bScore - aScore;
             })[0];
     }
 
-    assessRisk(protocol) {
-        let risk = 0.3; // Base risk
-        if (!protocol.audited) risk += 0.2;
-        if (protocol.ageInDays < 90) risk += 0.3;
-        if (protocol.tvl < 10000000) risk += 0.2;
-        return Math.min(1, risk);
+    // The strategies' shared RiskModel score. Frames carry recordedAt, so price and peg history are only
+    // read up to the simulated time
+    assessRisk(protocol, strategyConfig = null) {
+        return this.strategies.calculateRisk(protocol, strategyConfig);
     }
 
-    executeBuy(protocol, amount, prices) {
+    // Spends usdAmount; execution costs come out of it before the remainder buys tokens
+    executeBuy(protocol, usdAmount, prices, date = new Date(), pool = null, market = null) {
+        if (!(usdAmount > 0)) return null;
+
         const price = prices[protocol] || 1;
-        const cost = amount * price;
+        const costs = this.estimateTradeCost(pool, usdAmount, market, 'deposit');
+        if (costs.total >= usdAmount) return null;
         
         return {
             protocol,
-            amount,
+            amount: (usdAmount - costs.total) / price,
             price,
-            cost,
-            timestamp: Date.now()
+            cost: usdAmount,
+            costs,
+            timestamp: date.getTime()
         };
     }
 
-    executeSell(protocol, amount, prices) {
+    executeSell(protocol, amount, prices, date = new Date(), pool = null, market = null) {
+        if (!(amount > 0)) return null;
+
         const price = prices[protocol] || 1;
-        const proceeds = amount * price;
+        const costs = this.estimateTradeCost(pool, amount * price, market, 'withdraw');
+        const proceeds = Math.max(0, amount * price - costs.total);
         
         return {
             protocol,
             amount,
             price,
             proceeds,
-            timestamp: Date.now()
+            costs,
+            timestamp: date.getTime()
         };
     }
 
@@ -248,17 +455,13 @@ class BacktestEngine {
     }
 
     calculateWinRate(trades) {
-        if (trades.length === 0) return '0%';
+        // Only sells realize a profit or loss; cost is the average cost of the units sold
+        const sells = trades.filter(trade => trade.type === 'sell');
+        if (sells.length === 0) return '0%';
         
-        const winningTrades = trades.filter(trade => {
-            if (trade.type === 'sell') {
-                // Find corresponding buy trade to calculate profit
-                return trade.proceeds > trade.cost;
-            }
-            return false;
-        });
+        const winningTrades = sells.filter(trade => trade.proceeds > trade.cost);
         
-        return `${(winningTrades.length / trades.length * 100).toFixed(1)}%`;
+        return `${(winningTrades.length / sells.length * 100).toFixed(1)}%`;
     }
 
     exportResults(format = 'json') {
@@ -1,41 +1,94 @@
 #!/usr/bin/env node
+require('dotenv').config();
 
 const readline = require('readline');
 const YieldOptimizer = require('./optimizer');
 const ProtocolDataFetcher = require('./fetcher');
 const PortfolioManager = require('./portfolio');
+const PortfolioStore = require('./store');
 const RiskAssessment = require('./risk');
 const YieldFarmingStrategies = require('./strategies');
 const NotificationManager = require('./notifications');
 const PerformanceAnalytics = require('./analytics');
-const { ConfigManager } = require('../config/settings');
+const PositionValuator = require('./valuation');
+const RebalancePlanner = require('./rebalancer');
+const TransactionExecutor = require('./executor');
+const YieldMonitor = require('./monitor');
+const TimeSeriesStore = require('./timeseries');
+const BacktestEngine = require('./backtest');
+const ParameterSweep = require('./sweep');
+const MonteCarloSimulator = require('./montecarlo');
+const PaperTrader = require('./papertrader');
+const { ConfigManager, parseValue } = require('../config/settings');
 
 class CLI {
-    constructor() {
+    // options: { configFile, profile, overrides } from the command line; see parseArgs
+    constructor(options = {}) {
         this.rl = readline.createInterface({
             input: process.stdin,
             output: process.stdout
         });
         
-        this.config = new ConfigManager();
-        this.optimizer = new YieldOptimizer();
-        this.fetcher = new ProtocolDataFetcher();
-        this.portfolio = new PortfolioManager();
-        this.riskAssessment = new RiskAssessment();
-        this.strategies = new YieldFarmingStrategies(this.config);
+        this.config = new ConfigManager(options.overrides || {}, {
+            file: options.configFile,
+            profile: options.profile
+        });
+        this.timeSeries = new TimeSeriesStore(this.config.get('timeSeriesStorePath'));
+        this.optimizer = new YieldOptimizer(this.config, { timeSeries: this.timeSeries });
+        this.fetcher = new ProtocolDataFetcher(this.config, {
+            fixtureDir: process.env.FIXTURE_DIR,
+            timeSeries: this.timeSeries
+        });
+        this.portfolio = new PortfolioManager(new PortfolioStore(this.config.get('portfolioStorePath')));
+        this.riskAssessment = new RiskAssessment(this.config, { timeSeries: this.timeSeries });
+        this.strategies = new YieldFarmingStrategies(this.config, { timeSeries: this.timeSeries });
         this.notifications = new NotificationManager(this.config);
         this.analytics = new PerformanceAnalytics();
+        this.market = null;
+        this.rebalancer = new RebalancePlanner(this.config);
+        this.simulator = new MonteCarloSimulator(this.config, { timeSeries: this.timeSeries });
+        this.paper = new PaperTrader(this.config, this.strategies, {
+            costModel: this.optimizer.costs,
+            timeSeries: this.timeSeries
+        });
+        this.lastPlan = null;
+        this.executor = TransactionExecutor.fromEnv(this.config, {
+            confirm: this.confirmTransactions.bind(this)
+        });
+        this.valuator = new PositionValuator(this.portfolio, {
+            api: this.fetcher.api,
+            analytics: this.analytics,
+            getPools: () => this.optimizer.protocols
+        });
+        this.monitor = new YieldMonitor(this.config, {
+            fetcher: this.fetcher,
+            notifications: this.notifications,
+            riskAssessment: this.riskAssessment,
+            valuator: this.valuator,
+            onSnapshot: pools => {
+                this.optimizer.protocols = pools;
+                this.stepPaper();
+            }
+        });
         
         this.commands = {
             help: this.showHelp.bind(this),
             status: this.showStatus.bind(this),
             fetch: this.fetchProtocols.bind(this),
             analyze: this.analyzeStrategies.bind(this),
+            strategies: this.manageStrategies.bind(this),
             portfolio: this.managePortfolio.bind(this),
             risk: this.assessRisk.bind(this),
             notify: this.testNotifications.bind(this),
             config: this.manageConfig.bind(this),
             report: this.generateReport.bind(this),
+            execute: this.executePlan.bind(this),
+            monitor: this.manageMonitor.bind(this),
+            history: this.showHistory.bind(this),
+            backtest: this.runBacktest.bind(this),
+            sweep: this.runSweep.bind(this),
+            stress: this.runStressTest.bind(this),
+            paper: this.managePaper.bind(this),
             exit: this.exit.bind(this)
         };
     }
@@ -72,19 +125,39 @@ class CLI {
   help          - Show this help message
   status        - Show current system status
   fetch         - Fetch latest protocol data
-  analyze [strategy] - Analyze strategies (conservative/moderate/aggressive)
-  portfolio [action] - Portfolio management (show/add/remove)
+  analyze [strategy] [amount] [mode] - Analyze strategies (mode: mean-variance/greedy)
+  strategies [list|show <id>|load <file>] - List strategies or load custom ones from JSON/YAML
+  portfolio [action] - Portfolio management (show/add/withdraw/harvest/fee/ledger/edit/remove/revalue/rebalance)
   risk [protocol]    - Show risk assessment
   notify [test]      - Notification management
-  config [key] [value] - Configuration management
+  config [key] [value] - Show settings and their source, or override one (config save [file] persists overrides)
   report        - Generate performance report
+  execute [live] - Dry-run (default) or send the last rebalance plan on-chain
+  monitor [start|stop] - Poll protocols in the background and alert on yield/risk changes
+  history [pool] [days] - Recorded APY/TVL/price history (history import <file.csv|file.json>)
+  backtest <strategy> <start> <end> [capital] - Replay recorded history (dates as YYYY-MM-DD, end day included)
+  sweep <strategy> <start> <end> [grid|random] [trainDays] [testDays] - Walk-forward parameter search (end day included)
+  stress [portfolio|strategy] [amount] [days] [seed] - Monte Carlo return distribution with depeg/exploit events
+  paper [start|step|status|report|reset] - Trade a strategy on a simulated portfolio (paper start <strategy> [capital] [from])
   exit          - Exit the CLI
 
 Examples:
   analyze moderate
+  analyze conservative 10000 greedy
+  strategies load strategies/stable-only.yaml
   portfolio show
+  portfolio add 1000 1 Compound USDC
+  portfolio edit <entryId> amount 1200
+  portfolio revalue start
+  portfolio rebalance conservative
   config maxRiskTolerance 0.8
+  config save
   risk compound
+  backtest moderate 2024-01-01 2024-06-30 10000
+  sweep moderate 2024-01-01 2024-12-31 random 60 30
+  stress moderate 10000 180
+  paper start moderate 10000
+  paper start moderate 10000 2024-01-01
         `);
     }
 
@@ -101,27 +174,95 @@ Configuration:
   • Risk Tolerance: ${this.config.get('maxRiskTolerance')}
   • Min APY: ${(this.config.get('minAPY') * 100).toFixed(1)}%
   • Rebalance Threshold: ${(this.config.get('rebalanceThreshold') * 100).toFixed(1)}%
+  • Test Mode: ${this.config.get('enableTestMode') ? 'On (plans fill into the paper portfolio)' : 'Off'}
 
 Notifications:
   • Channels: ${Object.keys(this.notifications.getChannelStatus()).length}
   • Recent Alerts: ${this.notifications.getAlertHistory(10).length}
+
+Monitor:
+${this.formatMonitorStatus()}
         `);
     }
 
+    formatMonitorStatus() {
+        const status = this.monitor.getStatus();
+        if (!status.running && status.polls === 0) {
+            return '  • Not running (start with "monitor start")';
+        }
+
+        const lines = [
+            `  • State: ${status.running ? 'Running' : 'Stopped'}`,
+            `  • Pools Tracked: ${status.pools}`,
+            `  • Polls: ${status.polls} (${status.failures} failed)`,
+            `  • Last Success: ${status.lastSuccessAt ? status.lastSuccessAt.toLocaleString() : 'never'}`,
+            `  • Changes Last Poll: ${status.lastChanges.length} | Alerts Fired: ${status.alertsFired}`
+        ];
+        if (status.lastError) {
+            lines.push(`  • Last Error: ${status.lastError} (${status.consecutiveFailures} in a row)`);
+        }
+        if (status.nextPollAt) {
+            lines.push(`  • Next Poll: ${status.nextPollAt.toLocaleString()}`);
+        }
+        return lines.join('\n');
+    }
+
+    async manageMonitor(args) {
+        const action = args[0] || 'status';
+        
+        switch (action) {
+            case 'start':
+                this.monitor.start();
+                console.log(`📡 Monitoring protocols every ${this.config.get('protocolDataUpdateInterval') / 1000}s, prices every ${this.config.get('priceUpdateInterval') / 1000}s`);
+                if (!this.config.get('enableNotifications')) {
+                    console.log('⚠️  enableNotifications is off: changes are recorded but no alerts are sent');
+                }
+                break;
+                
+            case 'stop':
+                this.monitor.stop();
+                console.log('⏹️  Monitor stopped');
+                break;
+                
+            case 'status':
+                console.log(`\n📡 Monitor:\n${this.formatMonitorStatus()}`);
+                this.monitor.getStatus().lastChanges.forEach(change => {
+                    const detail = change.type === 'yield'
+                        ? `APY ${(change.oldAPY * 100).toFixed(2)}% → ${(change.newAPY * 100).toFixed(2)}%`
+                        : `risk ${change.oldLevel} → ${change.newLevel}`;
+                    console.log(`    - ${change.pool}: ${detail}`);
+                });
+                break;
+                
+            default:
+                console.log('Available monitor actions: start, stop, status');
+        }
+    }
+
     async fetchProtocols() {
         console.log('🔄 Fetching protocol data...');
         
         try {
             const protocols = await this.fetcher.fetchAllProtocolData();
+            this.market = await this.optimizer.costs.loadMarketConditions(this.fetcher.api);
+            if (!this.fetcher.fixtureDir) {
+                this.timeSeries.recordMarket(this.market);
+            }
             
+            // The fresh snapshot replaces the last one; a failed fetch above keeps it
+            this.optimizer.protocols = [];
             for (const protocol of protocols) {
                 await this.optimizer.addProtocol(protocol);
             }
             
             console.log(`✅ Fetched data for ${protocols.length} protocols:`);
             protocols.forEach(p => {
-                console.log(`  • ${p.name}: ${(p.apy * 100).toFixed(2)}% APY`);
+                const rewards = p.rewardAPY
+                    ? ` (base ${(p.baseAPY * 100).toFixed(2)}% + ${(p.rewardAPY * 100).toFixed(2)}% in ${p.rewardTokens.join('/')})`
+                    : '';
+                console.log(`  • ${p.name}: ${(p.apy * 100).toFixed(2)}% APY${rewards}`);
             });
+            this.stepPaper();
             
         } catch (error) {
             console.error('❌ Failed to fetch protocols:', error.message);
@@ -131,6 +272,7 @@ Notifications:
     async analyzeStrategies(args) {
         const strategy = args[0] || 'all';
         const amount = parseInt(args[1]) || 5000;
+        const mode = args[2] || this.config.get('allocationMode');
         
         console.log(`📈 Analyzing ${strategy} strategy with $${amount.toLocaleString()}...\n`);
         
@@ -140,7 +282,7 @@ Notifications:
         }
         
         const strategies = strategy === 'all' 
-            ? ['conservative', 'moderate', 'aggressive']
+            ? Array.from(this.strategies.strategies.keys())
             : [strategy];
         
         for (const strategyName of strategies) {
@@ -148,18 +290,24 @@ Notifications:
                 const allocation = this.strategies.optimizeForStrategy(
                     strategyName, 
                     this.optimizer.protocols, 
-                    amount
+                    amount,
+                    { mode, market: this.market }
                 );
                 
-                console.log(`\n${allocation.strategy} Strategy:`);
+                console.log(`\n${allocation.strategy} Strategy (${allocation.mode}):`);
                 console.log(`  Expected Yield: ${(allocation.expectedYield * 100).toFixed(2)}%`);
+                console.log(`  Net Yield: ${(allocation.netYield * 100).toFixed(2)}% over ${this.config.get('holdingPeriodDays')} days ($${allocation.totalCosts.toFixed(2)} gas, slippage and fees)`);
+                console.log(`  From Rewards: ${(allocation.rewardShare * 100).toFixed(1)}% of yield`);
                 console.log(`  Risk Level: ${(allocation.averageRisk * 100).toFixed(1)}%`);
                 console.log(`  Diversification: ${allocation.diversification} protocols`);
+                if (allocation.unallocated > 0) {
+                    console.log(`  Held in Cash: $${allocation.unallocated.toLocaleString()} (risk budget or caps reached)`);
+                }
                 
                 if (allocation.allocations.length > 0) {
                     console.log('  Allocations:');
                     allocation.allocations.forEach(alloc => {
-                        console.log(`    • ${alloc.protocol}: $${alloc.amount.toLocaleString()} (${alloc.percentage.toFixed(1)}%)`);
+                        console.log(`    • ${alloc.protocol}: $${alloc.amount.toLocaleString()} (${alloc.percentage.toFixed(1)}%, net ${(alloc.netAPY * 100).toFixed(2)}% APY)`);
                     });
                 }
                 
@@ -169,6 +317,47 @@ Notifications:
         }
     }
 
+    async manageStrategies(args) {
+        const action = args[0] || 'list';
+        
+        switch (action) {
+            case 'list':
+                console.log('\n🧭 Strategies:');
+                for (const [id, strategy] of this.strategies.strategies) {
+                    const source = strategy.source ? ` [${strategy.source}]` : '';
+                    console.log(`  • ${id}: ${strategy.name} - risk ≤ ${strategy.riskTolerance}, APY ≥ ${(strategy.minAPY * 100).toFixed(1)}%, ${strategy.rebalanceFrequency}${source}`);
+                }
+                break;
+                
+            case 'show': {
+                const strategy = this.strategies.getStrategy(args[1]);
+                if (!strategy) {
+                    console.log(`❌ Unknown strategy "${args[1]}". Available: ${Array.from(this.strategies.strategies.keys()).join(', ')}`);
+                    return;
+                }
+                console.log(JSON.stringify(strategy, null, 2));
+                break;
+            }
+                
+            case 'load': {
+                if (!args[1]) {
+                    console.log('Usage: strategies load <file.json|file.yaml>');
+                    return;
+                }
+                try {
+                    const ids = this.strategies.loadStrategyFile(args[1]);
+                    console.log(`✅ Loaded ${ids.join(', ')} from ${args[1]}`);
+                } catch (error) {
+                    console.log(`❌ ${error.message}`);
+                }
+                break;
+            }
+                
+            default:
+                console.log('Usage: strategies [list|show <id>|load <file>]');
+        }
+    }
+
     async managePortfolio(args) {
         const action = args[0] || 'show';
         
@@ -179,28 +368,200 @@ Notifications:
                     console.log('  No positions currently held.');
                 } else {
                     const weights = this.portfolio.calculateWeights();
-                    weights.forEach(w => {
-                        console.log(`  • ${w.protocol}: $${w.value.toLocaleString()} (${(w.weight * 100).toFixed(1)}%)`);
+                    this.portfolio.positions.forEach((pos, i) => {
+                        console.log(`  • ${pos.protocol.name}: $${pos.currentValue.toLocaleString()} (${(weights[i].weight * 100).toFixed(1)}%)`);
+                        console.log(`    id ${pos.id} | ${pos.amount} @ $${pos.entryPrice.toFixed(4)} | basis $${pos.costBasis.toLocaleString()} | realized $${pos.realizedPnL.toFixed(2)}`);
+                        if (pos.lastValuedAt) {
+                            console.log(`    accrued ${pos.accruedInterest.toFixed(4)} ${pos.protocol.token} | unrealized $${pos.unrealizedPnL.toFixed(2)} | valued ${pos.lastValuedAt.toLocaleString()}`);
+                        }
+                        if (pos.lpAnalysis) {
+                            const lp = pos.lpAnalysis;
+                            console.log(`    LP vs HODL $${lp.hodlValue.toFixed(2)}: IL ${(lp.impermanentLoss * 100).toFixed(2)}% ($${lp.impermanentLossUsd.toFixed(2)}) | fees $${lp.feeIncome.toFixed(2)} | net $${lp.netReturn.toFixed(2)} ($${lp.netVsHodl.toFixed(2)} vs HODL)`);
+                        }
                     });
                     console.log(`\n  Total Value: $${this.portfolio.totalValue.toLocaleString()}`);
                 }
                 break;
                 
-            case 'add':
-                console.log('📝 Use the web interface or API to add positions.');
+            case 'add': {
+                const [amount, price] = [parseFloat(args[1]), parseFloat(args[2])];
+                const pool = this.findPool(args.slice(3).join(' '));
+                if (isNaN(amount) || isNaN(price) || !pool) {
+                    console.log('Usage: portfolio add <amount> <price> <pool name>');
+                    return;
+                }
+                
+                const position = this.portfolio.addPosition(pool, amount, price);
+                console.log(`✅ Opened position ${position.id}`);
+                break;
+            }
+                
+            case 'withdraw': {
+                const [positionId, amount, price] = [args[1], parseFloat(args[2]), parseFloat(args[3])];
+                if (!positionId || isNaN(amount) || isNaN(price)) {
+                    console.log('Usage: portfolio withdraw <positionId> <amount> <price>');
+                    return;
+                }
+                
+                this.portfolio.withdraw(positionId, amount, price);
+                console.log(`✅ Recorded withdrawal of ${amount} from ${positionId}`);
                 break;
+            }
                 
-            case 'rebalance':
-                console.log('⚖️ Checking rebalance recommendations...');
-                // Implementation would check current vs target allocations
-                console.log('  Portfolio appears balanced.');
+            case 'harvest':
+            case 'fee': {
+                const [positionId, value] = [args[1], parseFloat(args[2])];
+                if (!positionId || isNaN(value)) {
+                    console.log(`Usage: portfolio ${action} <positionId> <usdValue> [note]`);
+                    return;
+                }
+                
+                const note = args.slice(3).join(' ');
+                if (action === 'harvest') {
+                    this.portfolio.recordHarvest(positionId, value, note);
+                } else {
+                    this.portfolio.recordFee(positionId, value, note);
+                }
+                console.log(`✅ Recorded ${action} of $${value} on ${positionId}`);
                 break;
+            }
+                
+            case 'ledger': {
+                const ledger = this.portfolio.getLedger();
+                console.log('\n📒 Ledger:');
+                if (ledger.length === 0) {
+                    console.log('  No entries.');
+                }
+                ledger.forEach(entry => {
+                    const size = entry.value !== undefined ? `$${entry.value}` : `${entry.amount} @ $${entry.price}`;
+                    console.log(`  • ${entry.id} ${entry.timestamp} ${entry.type.toUpperCase()} ${size} (position ${entry.positionId})${entry.note ? ` - ${entry.note}` : ''}`);
+                });
+                break;
+            }
+                
+            case 'edit': {
+                const [entryId, field, rawValue] = args.slice(1);
+                if (!entryId || !field || rawValue === undefined) {
+                    console.log('Usage: portfolio edit <entryId> <field> <value>');
+                    return;
+                }
+                
+                const value = ['note', 'timestamp'].includes(field) ? args.slice(3).join(' ') : parseFloat(rawValue);
+                this.portfolio.editEntry(entryId, { [field]: value });
+                console.log(`✅ Updated ${field} on ${entryId}`);
+                break;
+            }
+                
+            case 'remove': {
+                const entryId = args[1];
+                if (!entryId) {
+                    console.log('Usage: portfolio remove <entryId>');
+                    return;
+                }
+                
+                this.portfolio.removeEntry(entryId, args.slice(2).join(' '));
+                console.log(`✅ Removed ledger entry ${entryId}`);
+                break;
+            }
+                
+            case 'revalue': {
+                const mode = args[1];
+                if (mode === 'start') {
+                    const interval = this.config.get('priceUpdateInterval');
+                    this.valuator.start(interval);
+                    console.log(`⏱️  Revaluing every ${interval / 1000}s`);
+                    return;
+                }
+                if (mode === 'stop') {
+                    this.valuator.stop();
+                    console.log('⏹️  Scheduled revaluation stopped');
+                    return;
+                }
+                
+                await this.valuator.revalue();
+                console.log(`✅ Portfolio marked to market: $${this.portfolio.totalValue.toLocaleString()}`);
+                break;
+            }
+                
+            case 'rebalance': {
+                // In test mode plans are made against the paper portfolio, which "execute" then fills
+                const paper = this.config.get('enableTestMode');
+                const strategyName = args[1] || (paper && this.paper.isActive() ? this.paper.getStatus().strategy : 'moderate');
+                // The book is scored as one strategy's run, so it only takes plans toward that strategy
+                if (paper && this.paper.isActive() && strategyName !== this.paper.getStatus().strategy) {
+                    console.log(`❌ The paper portfolio trades ${this.paper.getStatus().strategy}; it cannot rebalance toward ${strategyName}. Run "paper reset" to start one for it`);
+                    return;
+                }
+                console.log(`⚖️ Planning rebalance toward ${strategyName} strategy${paper ? ' on the paper portfolio' : ''}...`);
+                
+                if (this.optimizer.protocols.length === 0) {
+                    console.log('⚠️  No protocol data available. Run "fetch" first.');
+                    return;
+                }
+                
+                let plan;
+                if (paper) {
+                    plan = this.rebalancer.planForStrategy(
+                        this.paper.getPortfolio(),
+                        this.strategies,
+                        strategyName,
+                        this.optimizer.protocols,
+                        { market: this.market, cash: this.paper.getCash() }
+                    );
+                } else {
+                    if (this.portfolio.positions.length === 0) {
+                        console.log('  No positions to rebalance.');
+                        return;
+                    }
+                    plan = this.rebalancer.planForStrategy(
+                        this.portfolio,
+                        this.strategies,
+                        strategyName,
+                        this.optimizer.protocols,
+                        { market: this.market }
+                    );
+                }
+                this.lastPlan = { ...plan, paper };
+                
+                if (plan.moves.length === 0) {
+                    console.log('  Portfolio appears balanced.');
+                } else {
+                    plan.moves.forEach(move => {
+                        console.log(`  ${move.step}. ${move.action.toUpperCase()} $${move.amount.toFixed(2)} ${move.action === 'withdraw' ? 'from' : 'into'} ${move.protocol} (${move.reason})`);
+                        console.log(`     weight ${(move.currentWeight * 100).toFixed(1)}% → ${(move.targetWeight * 100).toFixed(1)}% | cost $${move.estimatedCost.toFixed(2)} | yield gain $${move.expectedGain.toFixed(2)}`);
+                    });
+                    console.log(`\n  Total Cost: $${plan.totalCost.toFixed(2)} | Expected Gain: $${plan.expectedGain.toFixed(2)} over ${this.config.get('holdingPeriodDays')} days`);
+                }
+                
+                plan.skipped.forEach(skip => {
+                    console.log(`  ⏭️  Skipped ${skip.protocol} ($${skip.amount.toFixed(2)}): ${skip.reason}`);
+                });
+                break;
+            }
                 
             default:
-                console.log('Available portfolio actions: show, add, rebalance');
+                console.log('Available portfolio actions: show, add, withdraw, harvest, fee, ledger, edit, remove, revalue, rebalance');
         }
     }
 
+    findPool(name) {
+        if (!name) return null;
+        
+        const query = name.toLowerCase();
+        const exact = this.optimizer.protocols.find(p => p.name.toLowerCase() === query);
+        if (exact) return exact;
+        
+        const matches = this.optimizer.protocols.filter(p => p.name.toLowerCase().includes(query));
+        if (matches.length > 1) {
+            throw new Error(`"${name}" matches ${matches.map(p => p.name).join(', ')}`);
+        }
+        if (matches.length === 0 && this.optimizer.protocols.length === 0) {
+            throw new Error('No protocol data available. Run "fetch" first.');
+        }
+        
+        return matches[0] || null;
+    }
+
     async assessRisk(args) {
         const protocolName = args[0];
         
@@ -213,13 +574,25 @@ Notifications:
             
             let totalRisk = 0;
             for (const position of this.portfolio.positions) {
-                const risk = this.riskAssessment.assessSmartContractRisk(position.protocol);
-                totalRisk += risk;
+                const pool = this.optimizer.protocols.find(p => p.name === position.protocol.name) || position.protocol;
+                totalRisk += this.riskAssessment.generateRiskReport(pool).overallRisk;
             }
             
             const avgRisk = totalRisk / this.portfolio.positions.length;
             console.log(`  Average Risk Level: ${(avgRisk * 100).toFixed(1)}%`);
-            console.log(`  Risk Rating: ${avgRisk < 0.3 ? 'Low' : avgRisk < 0.6 ? 'Medium' : 'High'}`);
+            console.log(`  Risk Rating: ${this.riskAssessment.getRiskLevel(avgRisk)}`);
+            
+            const exposure = this.riskAssessment.assessPortfolioExposure(this.portfolio.positions);
+            const formatNode = node => `${node.name} ${(node.share * 100).toFixed(1)}%${node.cap !== null ? ` (cap ${(node.cap * 100).toFixed(0)}%)` : ''}`;
+            console.log('\n🔗 Look-through Exposure:');
+            console.log(`  Protocols: ${exposure.protocols.map(formatNode).join(', ')}`);
+            console.log(`  Assets: ${exposure.assets.map(formatNode).join(', ')}`);
+            if (exposure.oracles.length > 0) {
+                console.log(`  Oracles: ${exposure.oracles.map(formatNode).join(', ')}`);
+            }
+            for (const breach of exposure.breaches) {
+                console.log(`  ⚠️  ${breach.kind} ${breach.name} is ${(breach.share * 100).toFixed(1)}% of the portfolio, over its ${(breach.cap * 100).toFixed(0)}% cap (via ${breach.pools.join(', ')})`);
+            }
             
         } else {
             const protocol = this.optimizer.protocols.find(p => 
@@ -232,15 +605,89 @@ Notifications:
             }
             
             const report = this.riskAssessment.generateRiskReport(protocol);
+            const labels = {
+                smartContract: 'Smart Contract Risk',
+                liquidity: 'Liquidity Risk',
+                volatility: 'Volatility Risk',
+                asset: 'Asset Risk',
+                chain: 'Chain Risk',
+                impermanentLoss: 'Impermanent Loss Risk'
+            };
             console.log(`\n🔍 Risk Assessment for ${protocol.name}:`);
             console.log(`  Overall Risk: ${report.riskLevel} (${(report.overallRisk * 100).toFixed(1)}%)`);
-            console.log(`  Smart Contract Risk: ${(report.risks.smartContract * 100).toFixed(1)}%`);
-            console.log(`  Liquidity Risk: ${(report.risks.liquidity * 100).toFixed(1)}%`);
-            console.log(`  Volatility Risk: ${(report.risks.volatility * 100).toFixed(1)}%`);
+            for (const [name, factor] of Object.entries(report.factors)) {
+                // Chain and impermanent loss are added on top of the average; skip them when they add nothing
+                const added = name === 'chain' || name === 'impermanentLoss';
+                if (added && factor.score === 0) continue;
+                const weight = factor.weight !== 1 ? `, weight ${factor.weight}` : '';
+                console.log(`  ${labels[name]}: ${added ? '+' : ''}${(factor.score * 100).toFixed(1)}%${weight} (${factor.reasons.join('; ')})`);
+            }
             console.log(`  Recommendation: ${report.recommendation}`);
         }
     }
 
+    async executePlan(args) {
+        const live = args[0] === 'live';
+        
+        if (!this.lastPlan || this.lastPlan.moves.length === 0) {
+            console.log('⚠️  No rebalance plan to execute. Run "portfolio rebalance [strategy]" first.');
+            return;
+        }
+        
+        if (this.lastPlan.paper !== this.config.get('enableTestMode')) {
+            console.log(`⚠️  The last plan was made ${this.lastPlan.paper ? 'against the paper portfolio' : 'against the ledger'} before test mode was switched ${this.lastPlan.paper ? 'off' : 'on'}. Run "portfolio rebalance" again.`);
+            return;
+        }
+        if (this.lastPlan.paper) {
+            console.log('🧾 Test mode: filling the rebalance plan into the paper portfolio...');
+            const trades = this.paper.applyPlan(this.lastPlan, this.market);
+            trades.forEach(trade => {
+                const usd = trade.type === 'buy' ? trade.cost : trade.proceeds;
+                console.log(`  ${trade.type.toUpperCase()} ${trade.protocol}: $${usd.toFixed(2)} (gas $${trade.costs.gas.toFixed(2)}, slippage $${trade.costs.slippage.toFixed(2)}, fees $${trade.costs.fee.toFixed(2)})`);
+            });
+            this.lastPlan = null;
+            console.log(`✅ ${trades.length} simulated fills. Paper portfolio value: $${this.paper.getStatus().totalValue.toFixed(2)}`);
+            return;
+        }
+        
+        const tokens = [...new Set(this.lastPlan.moves.map(move => move.pool.token))];
+        const prices = await this.fetcher.api.fetchTokenPrices(tokens);
+        
+        console.log(live ? '🚀 Executing rebalance plan...' : '🧪 Dry run: encoding and simulating rebalance plan...');
+        const result = await this.executor.execute(this.lastPlan, { dryRun: !live, prices });
+        
+        result.transactions.forEach(tx => {
+            const gas = tx.gasEstimate ? ` | gas ${tx.gasEstimate}` : '';
+            console.log(`  ${tx.index}. [${tx.status}] ${tx.description}${gas}`);
+            if (tx.error) console.log(`     ${tx.error}`);
+        });
+        
+        if (result.cancelled) {
+            console.log('❌ Execution cancelled.');
+        } else if (result.dryRun) {
+            console.log('🧪 Dry run complete; nothing was sent.');
+        } else {
+            this.portfolio.applyTransactions(this.lastPlan, result.sent, prices);
+            this.lastPlan = null;
+            
+            if (result.failed.length > 0) {
+                const failure = result.failed[0];
+                console.log(`❌ Step ${failure.step} failed at transaction ${failure.index} (${failure.description}): ${failure.error}`);
+                console.log(`   Recorded the ${result.sent.length} confirmed transactions in the ledger; ${result.unsent.length} were not sent. Run "portfolio rebalance" again before retrying.`);
+            } else {
+                console.log(`✅ Sent ${result.sent.length} transactions and recorded the fills in the ledger.`);
+            }
+        }
+    }
+    
+    confirmTransactions(transactions) {
+        return new Promise(resolve => {
+            this.rl.question(`Send ${transactions.length} transactions? (yes/no) `, answer => {
+                resolve(answer.trim().toLowerCase() === 'yes');
+            });
+        });
+    }
+
     async testNotifications(args) {
         const action = args[0] || 'test';
         
@@ -282,48 +729,364 @@ Notifications:
     }
 
     async manageConfig(args) {
-        const [key, value] = args;
+        const [key, ...rest] = args;
+        const value = rest.join(' ');
+        const format = v => (typeof v === 'object' && v !== null ? JSON.stringify(v) : v);
         
         if (!key) {
-            console.log('\n⚙️  Current Configuration:');
-            const config = this.config.getAll();
-            for (const [k, v] of Object.entries(config)) {
-                console.log(`  • ${k}: ${v}`);
+            const profile = this.config.profile ? `, profile ${this.config.profile}` : '';
+            console.log(`\n⚙️  Current Configuration (file ${this.config.filePath}${profile}):`);
+            for (const setting of this.config.explain()) {
+                console.log(`  • ${setting.key}: ${format(setting.value)} [${setting.source}]`);
+            }
+            return;
+        }
+        
+        if (key === 'save') {
+            try {
+                const result = this.config.save(rest[0] || undefined);
+                if (result.saved.length === 0) {
+                    console.log(`Nothing to save; no settings were changed (${result.filePath})`);
+                    return;
+                }
+                const where = result.profile ? ` under profile ${result.profile}` : '';
+                console.log(`✅ Saved ${result.saved.join(', ')} to ${result.filePath}${where}`);
+                for (const shadowedKey of result.shadowed) {
+                    console.log(`  ⚠️  ${shadowedKey} is also set by ${this.config.envSetting(shadowedKey)}, which takes precedence on the next start`);
+                }
+            } catch (error) {
+                console.error(`❌ Error saving config: ${error.message}`);
             }
             return;
         }
         
         if (!value) {
-            const currentValue = this.config.get(key);
-            console.log(`${key}: ${currentValue}`);
+            const source = this.config.getSource(key);
+            if (!source) {
+                console.log(`❌ Unknown setting ${key}`);
+                return;
+            }
+            console.log(`${key}: ${format(this.config.get(key))} [${this.config.describeSource(source)}]`);
             return;
         }
         
         try {
-            let parsedValue = value;
-            if (!isNaN(value)) {
-                parsedValue = parseFloat(value);
-            } else if (value === 'true' || value === 'false') {
-                parsedValue = value === 'true';
-            }
-            
+            const parsedValue = parseValue(key, value);
             this.config.set(key, parsedValue);
-            console.log(`✅ Set ${key} = ${parsedValue}`);
+            console.log(`✅ Set ${key} = ${format(parsedValue)} (run "config save" to keep it)`);
             
         } catch (error) {
             console.error(`❌ Error setting config: ${error.message}`);
         }
     }
 
+    async showHistory(args) {
+        if (args[0] === 'import') {
+            if (!args[1]) {
+                console.log('Usage: history import <file.csv|file.json>');
+                return;
+            }
+            
+            const { read, added } = this.timeSeries.importFile(args[1]);
+            console.log(`✅ Imported ${added} of ${read} points (${read - added} already recorded)`);
+            return;
+        }
+        
+        const days = parseInt(args[args.length - 1]);
+        const poolName = (isNaN(days) ? args : args.slice(0, -1)).join(' ');
+        
+        if (!poolName) {
+            const range = this.timeSeries.getRange();
+            console.log('\n🗂️  Recorded History:');
+            if (!range) {
+                console.log('  Nothing recorded yet. Live fetches are recorded automatically.');
+                return;
+            }
+            console.log(`  ${this.timeSeries.points.length} points for ${this.timeSeries.getPools().length} pools`);
+            console.log(`  ${range.start.toLocaleString()} → ${range.end.toLocaleString()}`);
+            return;
+        }
+        
+        const pool = this.timeSeries.getPools().find(name => name.toLowerCase() === poolName.toLowerCase());
+        if (!pool) {
+            console.log(`❌ No history recorded for "${poolName}".`);
+            return;
+        }
+        
+        const start = isNaN(days) ? null : Date.now() - days * 24 * 60 * 60 * 1000;
+        const points = this.timeSeries.query({ pool, start });
+        console.log(`\n🗂️  ${pool} (${points.length} points):`);
+        points.forEach(point => {
+            const tvl = point.tvl !== null ? `$${Math.round(point.tvl).toLocaleString()}` : 'n/a';
+            const price = point.price !== null ? `$${point.price}` : 'n/a';
+            console.log(`  ${new Date(point.timestamp).toLocaleString()} | APY ${(point.apy * 100).toFixed(2)}% | TVL ${tvl} | price ${price}`);
+        });
+    }
+
+    // A date-only end (YYYY-MM-DD) means the whole of that day, so the last requested day is included
+    parseEndDate(value) {
+        const date = new Date(value);
+        return /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(date.getTime() + 24 * 60 * 60 * 1000 - 1) : date;
+    }
+
+    async runBacktest(args) {
+        const [strategyName, start, end] = args;
+        const capital = parseFloat(args[3]) || 10000;
+        
+        if (!strategyName || !start || !end) {
+            console.log('Usage: backtest <strategy> <start> <end> [capital]');
+            return;
+        }
+        if (!this.strategies.getStrategy(strategyName)) {
+            console.log(`❌ Unknown strategy "${strategyName}". Available: ${Array.from(this.strategies.strategies.keys()).join(', ')}`);
+            return;
+        }
+        
+        const startDate = new Date(start);
+        const endDate = this.parseEndDate(end);
+        if (isNaN(startDate) || isNaN(endDate) || startDate > endDate) {
+            console.log('❌ Start and end must be valid dates with start before end');
+            return;
+        }
+        
+        const frames = this.timeSeries.toBacktestData(startDate, endDate);
+        if (frames.length === 0) {
+            console.log('⚠️  No recorded history in that range. Fetch live data or run "history import <file>" first.');
+            return;
+        }
+        
+        const engine = new BacktestEngine(this.strategies, frames, {
+            costModel: this.optimizer.costs,
+            market: this.market,
+            withdrawalDelays: this.config.get('withdrawalDelays')
+        });
+        if (!this.market && !frames.some(frame => frame.market)) {
+            console.log('⚠️  No recorded gas history and no fetched market conditions; fills are costed without gas.');
+        }
+        
+        const results = await engine.runBacktest(strategyName, startDate, endDate, capital);
+        const report = engine.generateReport(strategyName);
+        
+        console.log(`\n🧪 Backtest: ${strategyName} (${frames.length} periods)`);
+        console.log(`  Final Value: $${results.finalCapital.toFixed(2)} from $${capital.toFixed(2)}`);
+        console.log(`  Total Return: ${report.performance.totalReturn} ($${results.yieldEarned.toFixed(2)} from yield)`);
+        console.log(`  Execution Costs: $${results.costs.total.toFixed(2)} (gas $${results.costs.gas.toFixed(2)}, slippage $${results.costs.slippage.toFixed(2)}, fees $${results.costs.fees.toFixed(2)})`);
+        console.log(`  Max Drawdown: ${report.performance.maxDrawdown}`);
+        console.log(`  Sharpe Ratio: ${report.performance.sharpeRatio}`);
+        console.log(`  Trades: ${report.trading.totalTrades} | Win Rate: ${report.trading.winRate}`);
+        console.log(`  Cash Held: $${engine.getAvailableCapital().toFixed(2)}${engine.getPendingValue() > 0 ? ` (+$${engine.getPendingValue().toFixed(2)} awaiting withdrawal)` : ''}`);
+    }
+
+    async runSweep(args) {
+        const [strategyName, start, end] = args;
+        const search = args[3] || 'grid';
+        const trainDays = parseInt(args[4]) || 60;
+        const testDays = parseInt(args[5]) || 30;
+
+        if (!strategyName || !start || !end || !['grid', 'random'].includes(search)) {
+            console.log('Usage: sweep <strategy> <start> <end> [grid|random] [trainDays] [testDays]');
+            return;
+        }
+        if (!this.strategies.getStrategy(strategyName)) {
+            console.log(`❌ Unknown strategy "${strategyName}". Available: ${Array.from(this.strategies.strategies.keys()).join(', ')}`);
+            return;
+        }
+
+        const startDate = new Date(start);
+        const endDate = this.parseEndDate(end);
+        if (isNaN(startDate) || isNaN(endDate) || startDate > endDate) {
+            console.log('❌ Start and end must be valid dates with start before end');
+            return;
+        }
+
+        const frames = this.timeSeries.toBacktestData(startDate, endDate);
+        if (frames.length === 0) {
+            console.log('⚠️  No recorded history in that range. Fetch live data or run "history import <file>" first.');
+            return;
+        }
+
+        const sweep = new ParameterSweep(this.strategies, frames, {
+            engineOptions: {
+                costModel: this.optimizer.costs,
+                market: this.market,
+                withdrawalDelays: this.config.get('withdrawalDelays')
+            }
+        });
+        const space = sweep.defaultSpace(strategyName);
+        const candidates = sweep.distinct(strategyName, search === 'random' ? sweep.random(space) : sweep.grid(space));
+
+        console.log(`🔎 Sweeping ${candidates.length} parameter sets for ${strategyName} (${trainDays}-day train, ${testDays}-day test)...`);
+        const results = await sweep.run(strategyName, candidates, { trainDays, testDays });
+
+        const formatParams = params => Object.entries(params).map(([key, value]) => `${key}=${value}`).join(' ');
+        const formatStats = stats => `return ${(stats.totalReturn * 100).toFixed(2)}% | Sharpe ${stats.sharpeRatio.toFixed(2)} | drawdown ${(stats.maxDrawdown * 100).toFixed(2)}% | costs $${stats.costs.toFixed(2)}`;
+
+        console.log(`\n📅 Walk-forward (${results.windows.length} windows, best on train, scored on test):`);
+        for (const window of results.windows) {
+            console.log(`  ${window.test.start.toISOString().slice(0, 10)} → ${window.test.end.toISOString().slice(0, 10)}: ${formatParams(window.params)}`);
+            console.log(`    ${formatStats(window.test)}`);
+        }
+        console.log(`  Out-of-sample average: ${formatStats(results.outOfSample)}`);
+
+        console.log('\n🏆 Best parameter sets (ranked on train; test is out-of-sample):');
+        results.best.forEach((entry, i) => {
+            console.log(`  ${i + 1}. ${formatParams(entry.params)}`);
+            console.log(`     train: ${formatStats(entry.train)}`);
+            console.log(`     test:  ${formatStats(entry.test)}`);
+        });
+    }
+
+    async runStressTest(args) {
+        const target = args[0] || 'portfolio';
+        const amount = parseFloat(args[1]) || 10000;
+        const overrides = {};
+        if (args[2]) overrides.horizonDays = parseInt(args[2]);
+        if (args[3]) overrides.seed = parseInt(args[3]);
+
+        let positions;
+        if (target === 'portfolio') {
+            if (this.portfolio.positions.length === 0) {
+                console.log('⚠️  The portfolio is empty. Stress a strategy instead: stress <strategy> [amount]');
+                return;
+            }
+            positions = this.simulator.positionsFromPortfolio(this.portfolio, this.optimizer.protocols);
+        } else {
+            if (this.optimizer.protocols.length === 0) {
+                console.log('⚠️  No protocol data available. Run "fetch" first.');
+                return;
+            }
+            const allocation = this.strategies.optimizeForStrategy(target, this.optimizer.protocols, amount, { market: this.market });
+            positions = this.simulator.positionsFromAllocation(allocation, this.optimizer.protocols);
+        }
+
+        const result = this.simulator.simulate(positions, overrides);
+        const pct = value => `${(value * 100).toFixed(2)}%`;
+
+        console.log(`\n🎲 Monte Carlo: ${target} ($${result.initialValue.toLocaleString()}, ${result.paths} paths over ${result.horizonDays} days, seed ${result.seed})`);
+        console.log(`  Expected Return: ${pct(result.expectedReturn)} (median ${pct(result.medianReturn)}, std dev ${pct(result.standardDeviation)})`);
+        console.log(`  Range: 1st ${pct(result.percentiles.p1)} | 5th ${pct(result.percentiles.p5)} | 25th ${pct(result.percentiles.p25)} | 75th ${pct(result.percentiles.p75)} | 95th ${pct(result.percentiles.p95)} | 99th ${pct(result.percentiles.p99)}`);
+        console.log(`  95% VaR: ${pct(result.valueAtRisk)} | Expected Shortfall: ${pct(result.expectedShortfall)}`);
+        console.log(`  Probability of Loss: ${pct(result.probabilityOfLoss)} | Worst Path: ${pct(result.worstReturn)}`);
+        console.log(`  Events per Path: ${result.events.depegsPerPath.toFixed(3)} depegs, ${result.events.exploitsPerPath.toFixed(3)} exploits`);
+    }
+
+    // Trades the paper portfolio through every recorded day completed since its last step
+    stepPaper() {
+        if (!this.paper.isActive()) return null;
+
+        const result = this.paper.step(Date.now(), this.market);
+        if (result.days > 0) {
+            console.log(`🧾 Paper portfolio traded ${result.days} day(s) with ${result.trades.length} fills: $${result.status.totalValue.toFixed(2)}`);
+        }
+        return result;
+    }
+
+    async managePaper(args) {
+        const action = args[0] || 'status';
+        
+        switch (action) {
+            case 'start': {
+                const strategyName = args[1];
+                const capital = parseFloat(args[2]) || 10000;
+                const from = args[3] ? new Date(args[3]) : new Date();
+                if (!strategyName) {
+                    console.log('Usage: paper start <strategy> [capital] [from YYYY-MM-DD]');
+                    return;
+                }
+                if (isNaN(from)) {
+                    console.log('❌ The start date must be a valid date');
+                    return;
+                }
+                
+                this.paper.start(strategyName, capital, from);
+                console.log(`🧾 Paper trading ${strategyName} with $${capital.toLocaleString()} from ${from.toISOString().slice(0, 10)}`);
+                if (!this.config.get('enableTestMode')) {
+                    console.log('  Test mode is off: "execute" still targets the ledger. Use --profile paper to fill plans into this portfolio.');
+                }
+                this.stepPaper();
+                break;
+            }
+                
+            case 'step': {
+                const until = args[1] ? new Date(args[1]) : new Date();
+                if (isNaN(until)) {
+                    console.log('❌ The end date must be a valid date');
+                    return;
+                }
+                
+                const result = this.paper.step(until, this.market);
+                if (result.days === 0) {
+                    console.log('  No completed days recorded since the last step. Fetch data or run "monitor start" to record more.');
+                    return;
+                }
+                result.trades.forEach(trade => {
+                    const usd = trade.type === 'buy' ? trade.cost : trade.proceeds;
+                    console.log(`  ${trade.date.toISOString().slice(0, 10)} ${trade.type.toUpperCase()} ${trade.protocol}: $${usd.toFixed(2)} (costs $${trade.costs.total.toFixed(2)})`);
+                });
+                console.log(`🧾 Traded ${result.days} day(s) with ${result.trades.length} fills: $${result.status.totalValue.toFixed(2)}`);
+                break;
+            }
+                
+            case 'status': {
+                const status = this.paper.getStatus();
+                if (!status.active) {
+                    console.log('  No paper portfolio. Start one with "paper start <strategy> [capital] [from]"');
+                    return;
+                }
+                
+                console.log(`\n🧾 Paper Portfolio: ${status.strategy} (started ${status.startedAt.toISOString().slice(0, 10)}, ${status.days} days traded${status.lastStep ? `, last ${status.lastStep.toISOString().slice(0, 10)}` : ''})`);
+                console.log(`  Value: $${status.totalValue.toFixed(2)} | PnL: ${status.pnl >= 0 ? '+' : ''}$${status.pnl.toFixed(2)} (${(status.pnl / status.initialCapital * 100).toFixed(2)}%)`);
+                console.log(`  Cash: $${status.cash.toFixed(2)}${status.pending > 0 ? ` (+$${status.pending.toFixed(2)} awaiting withdrawal)` : ''}`);
+                status.positions.forEach(position => {
+                    console.log(`  • ${position.protocol.name}: $${position.currentValue.toFixed(2)} (cost $${position.costBasis.toFixed(2)})`);
+                });
+                break;
+            }
+                
+            case 'report': {
+                const { results, report } = this.paper.getReport();
+                const { days } = this.paper.getStatus();
+                if (days === 0) {
+                    console.log('  The paper portfolio has not traded a full day yet.');
+                    return;
+                }
+                
+                console.log(`\n🧾 Paper Trading: ${results.strategy} (${days} days)`);
+                console.log(`  Final Value: $${results.finalCapital.toFixed(2)} from $${results.initialCapital.toFixed(2)}`);
+                console.log(`  Total Return: ${report.performance.totalReturn} ($${results.yieldEarned.toFixed(2)} from yield)`);
+                console.log(`  Execution Costs: $${results.costs.total.toFixed(2)} (gas $${results.costs.gas.toFixed(2)}, slippage $${results.costs.slippage.toFixed(2)}, fees $${results.costs.fees.toFixed(2)})`);
+                console.log(`  Max Drawdown: ${report.performance.maxDrawdown}`);
+                console.log(`  Sharpe Ratio: ${report.performance.sharpeRatio}`);
+                console.log(`  Trades: ${report.trading.totalTrades} | Win Rate: ${report.trading.winRate}`);
+                
+                const backtest = await this.paper.compareWithBacktest();
+                if (backtest) {
+                    console.log(`\n  Backtest over the same days: ${backtest.report.performance.totalReturn} return | drawdown ${backtest.report.performance.maxDrawdown} | Sharpe ${backtest.report.performance.sharpeRatio} | ${backtest.report.trading.totalTrades} trades | costs $${backtest.results.costs.total.toFixed(2)}`);
+                }
+                break;
+            }
+                
+            case 'reset':
+                this.paper.reset();
+                console.log('🗑️  Paper portfolio cleared');
+                break;
+                
+            default:
+                console.log('Available paper actions: start, step, status, report, reset');
+        }
+    }
+
     async generateReport() {
         console.log('📊 Generating Performance Report...\n');
         
-        // Add some mock data for demonstration
-        const now = Date.now();
-        for (let i = 0; i < 30; i++) {
-            const timestamp = now - (30 - i) * 24 * 60 * 60 * 1000;
-            const value = 10000 * (1 + Math.random() * 0.1 - 0.05);
-            this.analytics.addDataPoint(timestamp, value);
+        // Add some mock data for demonstration until revaluations have recorded real history
+        if (this.analytics.historicalData.length < 2) {
+            const now = Date.now();
+            for (let i = 0; i < 30; i++) {
+                const timestamp = now - (30 - i) * 24 * 60 * 60 * 1000;
+                const value = 10000 * (1 + Math.random() * 0.1 - 0.05);
+                this.analytics.addDataPoint(timestamp, value);
+            }
         }
         
         const report = this.analytics.generateReport();
@@ -353,10 +1116,40 @@ Notifications:
     }
 }
 
+// --config <file>, --profile <name> and --set <key>=<value> (repeatable) pick the config file and profile and
+// override settings for this session
+function parseArgs(argv) {
+    const options = { overrides: {} };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--config') {
+            options.configFile = argv[++i];
+        } else if (arg === '--profile') {
+            options.profile = argv[++i];
+        } else if (arg === '--set') {
+            const [key, ...value] = (argv[++i] || '').split('=');
+            if (!key || value.length === 0) {
+                throw new Error('--set expects <key>=<value>');
+            }
+            options.overrides[key] = parseValue(key, value.join('='));
+        } else {
+            throw new Error(`Unknown option ${arg}. Use --config <file>, --profile <name> or --set <key>=<value>`);
+        }
+    }
+    return options;
+}
+
+CLI.parseArgs = parseArgs;
+
 module.exports = CLI;
 
 // Run CLI if this file is executed directly
 if (require.main === module) {
-    const cli = new CLI();
-    cli.start().catch(console.error);
+    try {
+        const cli = new CLI(parseArgs(process.argv.slice(2)));
+        cli.start().catch(console.error);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
 }
\ No newline at end of file
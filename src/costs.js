@@ -0,0 +1,145 @@
+const DEFAULT_GAS_UNITS = {
+    compound: { deposit: 150000, withdraw: 180000 },
+    aave: { deposit: 250000, withdraw: 200000 },
+    curve: { deposit: 350000, withdraw: 300000 },
+    yearn: { deposit: 200000, withdraw: 150000 },
+    'uniswap-v2': { deposit: 200000, withdraw: 180000 },
+    default: { deposit: 250000, withdraw: 200000 }
+};
+
+const APPROVAL_GAS = 46000;
+const SWAP_GAS = 150000;
+
+const DEFAULT_PROTOCOL_FEES = {
+    curve: { deposit: 0.0002, withdraw: 0.0002 }
+};
+
+class CostModel {
+    constructor(config, options = {}) {
+        this.config = config;
+        this.gasUnits = { ...DEFAULT_GAS_UNITS, ...(options.gasUnits || {}) };
+        this.protocolFees = { ...DEFAULT_PROTOCOL_FEES, ...(options.protocolFees || {}) };
+        // Capital is assumed to be held in this token; entering any other pool costs a swap each way
+        this.baseAsset = options.baseAsset || 'USDC';
+    }
+
+    async loadMarketConditions(api) {
+        const [gas, eth] = await Promise.all([
+            api.fetchGasPrice(),
+            api.fetchTokenPrice('ethereum')
+        ]);
+
+        if (!eth.price) {
+            console.warn('ETH price unavailable; ranking pools without entry/exit costs');
+            return null;
+        }
+
+        const chains = await this.loadChainConditions(api, eth.price);
+        chains[1] = { gasPriceGwei: gas.standard, nativePriceUsd: eth.price, l1FeeUsd: 0 };
+
+        return {
+            gasPriceGwei: gas.standard,
+            ethPriceUsd: eth.price,
+            chains
+        };
+    }
+
+    // Gas price and native token price for every enabled chain besides mainnet, keyed by chain id
+    async loadChainConditions(api, ethPriceUsd) {
+        const chains = (this.config.get('enabledChains') || [1])
+            .filter(chainId => chainId !== 1)
+            .map(chainId => this.config.getChain(chainId));
+
+        const otherTokens = [...new Set(chains.map(chain => chain.nativeToken).filter(token => token !== 'ETH'))];
+        const prices = otherTokens.length > 0 ? await api.fetchTokenPrices(otherTokens) : {};
+
+        const conditions = await Promise.all(chains.map(async chain => {
+            const rpcUrl = this.config.getRpcUrl(chain.chainId);
+            const liveGas = rpcUrl ? await api.fetchRpcGasPrice(rpcUrl) : null;
+
+            return [chain.chainId, {
+                gasPriceGwei: liveGas !== null ? liveGas : chain.gasPriceGwei,
+                nativePriceUsd: chain.nativeToken === 'ETH' ? ethPriceUsd : (prices[chain.nativeToken] || 0),
+                l1FeeUsd: chain.l1FeeUsd
+            }];
+        }));
+
+        return Object.fromEntries(conditions);
+    }
+
+    // Markets built without per-chain data fall back to the configured chain defaults
+    getChainConditions(market, chainId = 1) {
+        if (market.chains && market.chains[chainId]) return market.chains[chainId];
+        if (chainId === 1) return { gasPriceGwei: market.gasPriceGwei, nativePriceUsd: market.ethPriceUsd, l1FeeUsd: 0 };
+
+        const chain = this.config.getChain(chainId);
+        return {
+            gasPriceGwei: chain.gasPriceGwei,
+            nativePriceUsd: chain.nativeToken === 'ETH' ? market.ethPriceUsd : 0,
+            l1FeeUsd: chain.l1FeeUsd
+        };
+    }
+
+    getProtocolId(pool) {
+        return pool.protocolId || pool.protocol.toLowerCase();
+    }
+
+    gasCostUsd(gasUnits, market, chainId = 1, transactions = 1) {
+        const chain = this.getChainConditions(market, chainId);
+        return gasUnits * chain.gasPriceGwei * 1e-9 * chain.nativePriceUsd + transactions * chain.l1FeeUsd;
+    }
+
+    // Cost of one side of a round trip: 'deposit' or 'withdraw'
+    estimateLegCost(pool, amount, market, leg) {
+        const protocolId = this.getProtocolId(pool);
+        const units = this.gasUnits[protocolId] || this.gasUnits.default;
+        const fees = this.protocolFees[protocolId] || {};
+        const needsSwap = pool.token !== this.baseAsset;
+
+        // Price impact grows with trade size relative to pool depth, capped at the configured tolerance
+        const slippageRate = pool.tvl > 0
+            ? Math.min(this.config.get('maxSlippage'), amount / pool.tvl)
+            : this.config.get('maxSlippage');
+
+        let gasUnits = units[leg] + (needsSwap ? SWAP_GAS : 0);
+        let transactions = needsSwap ? 2 : 1;
+        if (leg === 'deposit') {
+            gasUnits += APPROVAL_GAS;
+            transactions += 1;
+        }
+
+        const feeField = leg === 'deposit' ? 'depositFee' : 'withdrawFee';
+        const feeRate = pool[feeField] !== undefined ? pool[feeField] : (fees[leg] || 0);
+
+        const gas = this.gasCostUsd(gasUnits, market, pool.chainId || 1, transactions);
+        const slippage = needsSwap ? amount * slippageRate : 0;
+        const fee = amount * feeRate;
+
+        return { gas, slippage, fee, total: gas + slippage + fee };
+    }
+
+    estimateCosts(pool, amount, market) {
+        const deposit = this.estimateLegCost(pool, amount, market, 'deposit');
+        const withdrawal = this.estimateLegCost(pool, amount, market, 'withdraw');
+
+        return {
+            depositGas: deposit.gas,
+            withdrawalGas: withdrawal.gas,
+            slippage: deposit.slippage + withdrawal.slippage,
+            protocolFees: deposit.fee + withdrawal.fee,
+            total: deposit.total + withdrawal.total
+        };
+    }
+
+    calculateNetAPY(pool, amount, market, holdingPeriodDays = this.config.get('holdingPeriodDays')) {
+        if (amount <= 0) return 0;
+
+        const periodYears = holdingPeriodDays / 365;
+        const grossYield = amount * pool.apy * periodYears;
+        const costs = this.estimateCosts(pool, amount, market);
+
+        return (grossYield - costs.total) / amount / periodYears;
+    }
+}
+
+module.exports = CostModel;
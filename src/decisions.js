@@ -0,0 +1,224 @@
+const RebalancePlanner = require('./rebalancer');
+
+// Backtest decision rules. Each factory takes rule options and returns a decision function that
+// BacktestEngine calls once per frame with a context:
+//   { strategyName, strategy, frame, portfolio, prices, cash, totalValue, time, state, engine }
+// and that returns an order ({ action: 'buy' | 'sell' | 'hold', protocol, amount }) or a list of them.
+// Buy amounts are USD to spend; sell amounts are token units held. `state` persists across one run.
+
+const FREQUENCY_MS = {
+    hourly: 60 * 60 * 1000,
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000,
+    monthly: 30 * 24 * 60 * 60 * 1000
+};
+
+function eligiblePools(context) {
+    const { strategy, frame, engine } = context;
+    return frame.protocols.filter(pool => engine.strategies.isEligible(pool, strategy));
+}
+
+function currentWeights(context) {
+    const weights = {};
+    if (context.totalValue <= 0) return weights;
+
+    for (const [protocol, amount] of Object.entries(context.portfolio)) {
+        weights[protocol] = amount * (context.prices[protocol] || 1) / context.totalValue;
+    }
+    return weights;
+}
+
+// Market conditions the engine prices fills with, or null when its fills are free
+function costMarket(context) {
+    return context.engine.costModel ? context.engine.getMarket(context.frame) : null;
+}
+
+// Target weights from the strategy's own allocator, sized to the whole portfolio. Pools compete on APY
+// net of the costs the engine will charge to enter them
+function strategyTargetWeights(context) {
+    const { engine, strategyName, totalValue } = context;
+    if (totalValue <= 0) return {};
+
+    const allocation = engine.strategies.optimizeForStrategy(strategyName, context.frame.protocols, totalValue, {
+        market: costMarket(context)
+    });
+    const weights = {};
+    for (const alloc of allocation.allocations) {
+        weights[alloc.protocol] = alloc.amount / totalValue;
+    }
+    return weights;
+}
+
+// The holdings in the portfolio shape RebalancePlanner diffs, one position per pool
+function plannerPortfolio(context) {
+    const positions = Object.entries(context.portfolio).map(([name, amount]) => ({
+        id: name,
+        protocol: context.frame.protocols.find(pool => pool.name === name) || { name, apy: 0 },
+        amount,
+        currentValue: amount * (context.prices[name] || 1)
+    }));
+
+    return {
+        positions,
+        totalValue: positions.reduce((sum, position) => sum + position.currentValue, 0)
+    };
+}
+
+// Sells overweight pools and buys underweight ones. RebalancePlanner sizes the moves, ignoring those smaller
+// than minTrade of portfolio value and those whose gas, slippage and fees outweigh their yield gain over
+// holdingPeriodDays, so noisy APYs do not trade the book away in costs
+function ordersToTarget(context, targetWeights, minTrade = 0.01) {
+    const { engine, frame } = context;
+    const planner = new RebalancePlanner(engine.strategies.config, engine.costModel);
+    const targets = Object.entries(targetWeights)
+        .map(([protocol, weight]) => ({ protocol, amount: weight * context.totalValue }));
+
+    const plan = planner.plan(plannerPortfolio(context), targets, frame.protocols, {
+        market: costMarket(context),
+        cash: context.cash,
+        threshold: minTrade,
+        // A pool the allocator merely passed over today still has to pay for its exit; only one that left
+        // the data or turned too risky for the strategy is sold whatever the cost
+        mustExit: name => {
+            const pool = frame.protocols.find(p => p.name === name);
+            return !pool || engine.assessRisk(pool, context.strategy) > context.strategy.riskTolerance;
+        }
+    });
+
+    return plan.moves.map(move => {
+        if (move.action === 'deposit') {
+            // The planner nets its cost estimate out of the deposit; the engine charges the fill's own
+            return { action: 'buy', protocol: move.protocol, amount: move.amount + move.estimatedCost };
+        }
+
+        // Exiting a pool entirely sells every unit, so rounding never leaves dust behind
+        const amount = targetWeights[move.protocol]
+            ? move.positions.reduce((sum, leg) => sum + leg.tokenAmount, 0)
+            : context.portfolio[move.protocol];
+        return { action: 'sell', protocol: move.protocol, amount };
+    });
+}
+
+function maxDrift(context, targetWeights) {
+    const weights = currentWeights(context);
+    const names = new Set([...Object.keys(weights), ...Object.keys(targetWeights)]);
+    let drift = 0;
+    for (const protocol of names) {
+        drift = Math.max(drift, Math.abs((targetWeights[protocol] || 0) - (weights[protocol] || 0)));
+    }
+    return drift;
+}
+
+// The original rule: buy the best risk-adjusted pool on positive APY momentum, sell half of any
+// holding whose risk exceeds the strategy's tolerance
+function momentum(options = {}) {
+    const threshold = options.threshold !== undefined ? options.threshold : 0.05;
+    const maxBuy = options.maxBuy || 1000;
+    const buyFraction = options.buyFraction || 0.1;
+
+    return context => {
+        const { engine, strategy, frame, portfolio } = context;
+
+        if (frame.signals && frame.signals.momentum > threshold) {
+            const bestProtocol = engine.findBestProtocol(frame.protocols, strategy);
+            if (bestProtocol && bestProtocol.apy > strategy.minAPY) {
+                return { action: 'buy', protocol: bestProtocol.name, amount: Math.min(maxBuy, context.cash * buyFraction) };
+            }
+        }
+
+        for (const [protocol, amount] of Object.entries(portfolio)) {
+            const protocolData = frame.protocols.find(p => p.name === protocol);
+            if (protocolData && engine.assessRisk(protocolData, strategy) > strategy.riskTolerance) {
+                return { action: 'sell', protocol, amount: amount * 0.5 };
+            }
+        }
+
+        return { action: 'hold' };
+    };
+}
+
+// Rebalances to the strategy's target allocation every `frequency` (defaults to the strategy's rebalanceFrequency)
+function periodicRebalance(options = {}) {
+    return context => {
+        const frequency = options.frequency || context.strategy.rebalanceFrequency || 'weekly';
+        const interval = FREQUENCY_MS[frequency] || Number(frequency);
+        if (!interval) {
+            throw new Error(`Unknown rebalance frequency ${frequency}`);
+        }
+
+        if (context.state.lastRebalance !== undefined && context.time - context.state.lastRebalance < interval) {
+            return [];
+        }
+
+        context.state.lastRebalance = context.time;
+        return ordersToTarget(context, strategyTargetWeights(context), options.minTrade);
+    };
+}
+
+// Rebalances to the strategy's target allocation whenever any pool drifts more than `threshold` from it
+function thresholdRebalance(options = {}) {
+    return context => {
+        const threshold = options.threshold !== undefined
+            ? options.threshold
+            : context.engine.strategies.config.get('rebalanceThreshold');
+        const target = strategyTargetWeights(context);
+
+        if (maxDrift(context, target) <= threshold) return [];
+        return ordersToTarget(context, target, options.minTrade);
+    };
+}
+
+// Holds the highest-yielding eligible pools, filling maxSingleAllocation per pool. A held pool is only
+// swapped out when a challenger's APY beats it by more than `hysteresis`, so small wiggles do not churn
+function yieldChasing(options = {}) {
+    const hysteresis = options.hysteresis !== undefined ? options.hysteresis : 0.01;
+
+    return context => {
+        const { strategy } = context;
+        const slots = Math.max(1, Math.ceil(1 / strategy.maxSingleAllocation));
+        const ranked = eligiblePools(context).sort((a, b) => b.apy - a.apy);
+
+        const chosen = ranked.filter(pool => context.portfolio[pool.name] > 0);
+        for (const candidate of ranked) {
+            if (chosen.includes(candidate)) continue;
+
+            if (chosen.length < slots) {
+                chosen.push(candidate);
+                continue;
+            }
+
+            const weakest = chosen.reduce((min, pool) => (pool.apy < min.apy ? pool : min));
+            if (candidate.apy > weakest.apy + hysteresis) {
+                chosen[chosen.indexOf(weakest)] = candidate;
+            }
+        }
+
+        const target = {};
+        let remaining = 1;
+        for (const pool of chosen.sort((a, b) => b.apy - a.apy)) {
+            const weight = Math.min(strategy.maxSingleAllocation, remaining);
+            if (weight <= 0) break;
+            target[pool.name] = weight;
+            remaining -= weight;
+        }
+
+        return ordersToTarget(context, target, options.minTrade);
+    };
+}
+
+const DECISION_RULES = {
+    momentum,
+    'periodic-rebalance': periodicRebalance,
+    'threshold-rebalance': thresholdRebalance,
+    'yield-chasing': yieldChasing
+};
+
+module.exports = {
+    DECISION_RULES,
+    FREQUENCY_MS,
+    momentum,
+    periodicRebalance,
+    thresholdRebalance,
+    yieldChasing,
+    ordersToTarget
+};
@@ -0,0 +1,132 @@
+// Look-through dependency graph: pool → protocol → the protocols it deploys into, the tokens it holds
+// (expanded through wrapper and LP tokens) and the oracles it prices with. Exposure keys are
+// 'protocol:<id>', 'asset:<symbol>' and 'oracle:<name>'
+const EXPOSURE_KINDS = ['protocol', 'asset', 'oracle'];
+
+class DependencyGraph {
+    constructor(config) {
+        this.config = config;
+    }
+
+    getProtocolId(pool) {
+        return pool.protocolId || pool.protocol.toLowerCase();
+    }
+
+    getProtocolDependencies(protocolId) {
+        return this.config.get('protocolDependencies')[protocolId] || { protocols: [], oracles: [] };
+    }
+
+    // Canonical symbol and metadata from the assets setting; unknown tokens keep their own symbol
+    findAsset(token) {
+        const assets = this.config.get('assets');
+        const key = Object.keys(assets).find(symbol => symbol.toUpperCase() === token.toUpperCase());
+        return key ? { symbol: key, metadata: assets[key] } : { symbol: token, metadata: null };
+    }
+
+    getPoolTokens(pool) {
+        if (Array.isArray(pool.tokens)) return pool.tokens;
+        return pool.token ? pool.token.split(/[-/]/) : [];
+    }
+
+    // Adds a protocol, everything it deploys into and their oracles; the visited set breaks cycles
+    addProtocol(protocolId, exposures, visited = new Set()) {
+        if (visited.has(protocolId)) return;
+        visited.add(protocolId);
+
+        exposures[`protocol:${protocolId}`] = 1;
+        const dependencies = this.getProtocolDependencies(protocolId);
+        for (const oracle of dependencies.oracles || []) {
+            exposures[`oracle:${oracle}`] = 1;
+        }
+        for (const dependency of dependencies.protocols || []) {
+            this.addProtocol(dependency, exposures, visited);
+        }
+    }
+
+    // Splits `share` of the pool evenly across a token's underlying tokens, down to plain assets
+    addAsset(token, share, exposures, visited) {
+        const { symbol, metadata } = this.findAsset(token);
+
+        if (metadata && metadata.protocol) {
+            this.addProtocol(metadata.protocol, exposures, visited);
+        }
+        if (metadata && metadata.underlying) {
+            for (const underlying of metadata.underlying) {
+                this.addAsset(underlying, share / metadata.underlying.length, exposures, visited);
+            }
+            return;
+        }
+
+        exposures[`asset:${symbol}`] = (exposures[`asset:${symbol}`] || 0) + share;
+    }
+
+    // Fraction of a pool's value exposed to each node. A protocol or oracle failure takes the whole pool, so
+    // they count in full; tokens split the pool's value between them
+    poolExposures(pool) {
+        const exposures = {};
+        const visited = new Set();
+        this.addProtocol(this.getProtocolId(pool), exposures, visited);
+
+        const tokens = this.getPoolTokens(pool);
+        for (const token of tokens) {
+            this.addAsset(token, 1 / tokens.length, exposures, visited);
+        }
+        return exposures;
+    }
+
+    // Cap on a node's share of the portfolio, or null when uncapped. `limits` (e.g. a strategy) may set its
+    // own maxSingleProtocolAllocation / maxSingleAssetExposure in place of the config's
+    getCap(key, limits = {}) {
+        const kind = key.slice(0, key.indexOf(':'));
+        const setting = kind === 'protocol' ? 'maxSingleProtocolAllocation'
+            : kind === 'asset' ? 'maxSingleAssetExposure'
+                : null;
+        if (!setting) return null;
+        return limits[setting] !== undefined ? limits[setting] : this.config.get(setting);
+    }
+
+    // Aggregated look-through exposure of holdings ([{ pool, amount }]) by protocol, asset and oracle,
+    // largest first, with every capped node that exceeds its cap listed in breaches. Shares are of `total`,
+    // which defaults to the holdings' sum; pass the full amount when part of it is held as cash
+    lookThrough(holdings, total = holdings.reduce((sum, holding) => sum + holding.amount, 0), limits = {}) {
+        const totals = {};
+        const pools = {};
+
+        for (const { pool, amount } of holdings) {
+            for (const [key, fraction] of Object.entries(this.poolExposures(pool))) {
+                totals[key] = (totals[key] || 0) + amount * fraction;
+                (pools[key] = pools[key] || []).push(pool.name);
+            }
+        }
+
+        const report = { total, breaches: [] };
+        for (const kind of EXPOSURE_KINDS) {
+            report[`${kind}s`] = [];
+        }
+
+        for (const [key, value] of Object.entries(totals)) {
+            const kind = key.slice(0, key.indexOf(':'));
+            const cap = this.getCap(key, limits);
+            const share = total > 0 ? value / total : 0;
+            const node = {
+                name: key.slice(kind.length + 1),
+                value,
+                share,
+                cap,
+                pools: [...new Set(pools[key])]
+            };
+
+            report[`${kind}s`].push(node);
+            if (cap !== null && share > cap + 1e-9) {
+                report.breaches.push({ kind, ...node });
+            }
+        }
+
+        for (const kind of EXPOSURE_KINDS) {
+            report[`${kind}s`].sort((a, b) => b.value - a.value);
+        }
+        return report;
+    }
+}
+
+module.exports = DependencyGraph;
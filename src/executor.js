@@ -0,0 +1,289 @@
+const { ethers } = require('ethers');
+
+const ERC20_ABI = [
+    'function approve(address spender, uint256 amount) returns (bool)',
+    'function decimals() view returns (uint8)'
+];
+
+const PROTOCOL_ABIS = {
+    compound: [
+        'function mint(uint256 mintAmount) returns (uint256)',
+        'function redeemUnderlying(uint256 redeemAmount) returns (uint256)'
+    ],
+    aave: [
+        'function deposit(address asset, uint256 amount, address onBehalfOf, uint16 referralCode)',
+        'function withdraw(address asset, uint256 amount, address to) returns (uint256)'
+    ],
+    yearn: [
+        'function deposit(uint256 amount) returns (uint256)',
+        'function withdraw(uint256 maxShares) returns (uint256)',
+        'function pricePerShare() view returns (uint256)'
+    ]
+};
+
+// Aave v2 routes every reserve through the LendingPool rather than the aToken
+const AAVE_LENDING_POOL = '0x7d2768dE32b0b80b7a3454c06BdAc94A69DDc7A9';
+
+const TOKEN_DECIMALS = {
+    USDC: 6,
+    USDT: 6,
+    DAI: 18,
+    WETH: 18,
+    FRAX: 18
+};
+
+class TransactionExecutor {
+    constructor(config, options = {}) {
+        this.config = config;
+        this.provider = options.provider || null;
+        this.signer = options.signer || null;
+        // Async callback receiving the built transactions; must resolve true before anything is sent
+        this.confirm = options.confirm || null;
+        this.from = options.from || null;
+        // A provider and signer talk to one network, so plans are executed one chain at a time
+        this.chainId = options.chainId || 1;
+        this.interfaces = {
+            erc20: new ethers.Interface(ERC20_ABI),
+            compound: new ethers.Interface(PROTOCOL_ABIS.compound),
+            aave: new ethers.Interface(PROTOCOL_ABIS.aave),
+            yearn: new ethers.Interface(PROTOCOL_ABIS.yearn)
+        };
+    }
+
+    static fromEnv(config, options = {}) {
+        const rpcUrl = config.getRpcUrl(options.chainId || 1);
+        const provider = rpcUrl ? new ethers.JsonRpcProvider(rpcUrl) : null;
+        const signer = provider && process.env.PRIVATE_KEY
+            ? new ethers.Wallet(process.env.PRIVATE_KEY, provider)
+            : null;
+
+        return new TransactionExecutor(config, {
+            provider,
+            signer,
+            from: process.env.WALLET_ADDRESS || null,
+            ...options
+        });
+    }
+
+    isSupported(pool) {
+        const protocolId = pool.protocolId || pool.protocol.toLowerCase();
+        return Boolean(PROTOCOL_ABIS[protocolId]);
+    }
+
+    async getAccount() {
+        if (this.signer) return this.signer.getAddress();
+        return this.from || ethers.ZeroAddress;
+    }
+
+    async getDecimals(pool) {
+        if (TOKEN_DECIMALS[pool.token] !== undefined) return TOKEN_DECIMALS[pool.token];
+
+        if (!this.provider) {
+            throw new Error(`Unknown decimals for ${pool.token}; connect a provider to read them on-chain`);
+        }
+
+        const token = new ethers.Contract(pool.tokenAddress, ERC20_ABI, this.provider);
+        return Number(await token.decimals());
+    }
+
+    toUnits(amount, decimals) {
+        return ethers.parseUnits(amount.toFixed(decimals), decimals);
+    }
+
+    // Turns a rebalance plan into approve/deposit/withdraw calls; prices map token symbols to USD
+    async buildTransactions(plan, prices = {}) {
+        const account = await this.getAccount();
+        const transactions = [];
+
+        for (const move of plan.moves) {
+            const pool = move.pool;
+            const protocolId = pool.protocolId || pool.protocol.toLowerCase();
+
+            if ((pool.chainId || 1) !== this.chainId) {
+                throw new Error(`${pool.name} is on chain ${pool.chainId}; this executor is connected to chain ${this.chainId}`);
+            }
+
+            if (!this.isSupported(pool)) {
+                throw new Error(`No execution support for ${pool.name} (${protocolId})`);
+            }
+
+            if (!pool.tokenAddress || pool.tokenAddress === ethers.ZeroAddress || !pool.poolAddress) {
+                throw new Error(`${pool.name} has no ERC-20 token and pool address to transact with`);
+            }
+
+            const decimals = await this.getDecimals(pool);
+
+            if (move.action === 'deposit') {
+                const price = prices[pool.token];
+                if (!price) {
+                    throw new Error(`No price for ${pool.token}; cannot size deposit into ${pool.name}`);
+                }
+
+                const units = this.toUnits(move.amount / price, decimals);
+                transactions.push(...this.buildDeposit(move, protocolId, units, account));
+            } else {
+                for (const leg of move.positions) {
+                    const units = this.toUnits(leg.tokenAmount, decimals);
+                    transactions.push(await this.buildWithdrawal(move, protocolId, units, account, leg.positionId));
+                }
+            }
+        }
+
+        return transactions.map((tx, i) => ({ index: i + 1, ...tx }));
+    }
+
+    buildDeposit(move, protocolId, units, account) {
+        const pool = move.pool;
+        const spender = protocolId === 'aave' ? AAVE_LENDING_POOL : pool.poolAddress;
+        const approve = {
+            step: move.step,
+            protocol: protocolId,
+            action: 'approve',
+            to: pool.tokenAddress,
+            data: this.interfaces.erc20.encodeFunctionData('approve', [spender, units]),
+            value: 0n,
+            description: `Approve ${pool.token} for ${pool.name}`
+        };
+
+        let data;
+        if (protocolId === 'compound') {
+            data = this.interfaces.compound.encodeFunctionData('mint', [units]);
+        } else if (protocolId === 'aave') {
+            data = this.interfaces.aave.encodeFunctionData('deposit', [pool.tokenAddress, units, account, 0]);
+        } else {
+            data = this.interfaces.yearn.encodeFunctionData('deposit', [units]);
+        }
+
+        return [approve, {
+            step: move.step,
+            protocol: protocolId,
+            action: 'deposit',
+            to: spender,
+            data,
+            value: 0n,
+            dependsOnApproval: true,
+            description: `Deposit ${units} base units of ${pool.token} into ${pool.name}`
+        }];
+    }
+
+    async buildWithdrawal(move, protocolId, units, account, positionId) {
+        const pool = move.pool;
+        let to = pool.poolAddress;
+        let data;
+        let approximate = false;
+
+        if (protocolId === 'compound') {
+            data = this.interfaces.compound.encodeFunctionData('redeemUnderlying', [units]);
+        } else if (protocolId === 'aave') {
+            to = AAVE_LENDING_POOL;
+            data = this.interfaces.aave.encodeFunctionData('withdraw', [pool.tokenAddress, units, account]);
+        } else {
+            // Yearn burns vault shares, so convert the underlying amount at the current share price
+            let shares = units;
+            if (this.provider) {
+                const vault = new ethers.Contract(pool.poolAddress, PROTOCOL_ABIS.yearn, this.provider);
+                const pricePerShare = await vault.pricePerShare();
+                const decimals = await this.getDecimals(pool);
+                shares = units * (10n ** BigInt(decimals)) / pricePerShare;
+            } else {
+                approximate = true;
+            }
+            data = this.interfaces.yearn.encodeFunctionData('withdraw', [shares]);
+        }
+
+        return {
+            step: move.step,
+            protocol: protocolId,
+            action: 'withdraw',
+            to,
+            data,
+            value: 0n,
+            positionId,
+            approximate,
+            description: `Withdraw ${units} base units of ${pool.token} from ${pool.name}`
+        };
+    }
+
+    // eth_call each transaction; calls that need an earlier approval may revert until it is mined
+    async simulate(transactions) {
+        const account = await this.getAccount();
+        const results = [];
+
+        for (const tx of transactions) {
+            if (!this.provider) {
+                results.push({ ...tx, status: 'encoded' });
+                continue;
+            }
+
+            try {
+                const request = { from: account, to: tx.to, data: tx.data, value: tx.value };
+                await this.provider.call(request);
+                const gasEstimate = await this.provider.estimateGas(request);
+                results.push({ ...tx, status: 'ok', gasEstimate });
+            } catch (error) {
+                const status = tx.dependsOnApproval ? 'pending-approval' : 'reverted';
+                results.push({ ...tx, status, error: error.shortMessage || error.message });
+            }
+        }
+
+        return results;
+    }
+
+    async execute(plan, options = {}) {
+        const transactions = await this.buildTransactions(plan, options.prices);
+        const dryRun = options.dryRun !== false || this.config.get('enableTestMode');
+        const simulated = await this.simulate(transactions);
+
+        if (dryRun) {
+            return { dryRun: true, transactions: simulated, sent: [], failed: [], unsent: [] };
+        }
+
+        if (!this.signer) {
+            throw new Error('Live execution needs RPC_URL and PRIVATE_KEY (or an injected signer)');
+        }
+
+        const reverted = simulated.filter(tx => tx.status === 'reverted');
+        if (reverted.length > 0) {
+            throw new Error(`Simulation reverted for step(s) ${reverted.map(tx => tx.index).join(', ')}: ${reverted[0].error}`);
+        }
+
+        if (this.config.get('requireConfirmation')) {
+            if (!this.confirm) {
+                throw new Error('requireConfirmation is enabled but no confirmation handler was provided');
+            }
+
+            if (!(await this.confirm(simulated))) {
+                return { dryRun: false, cancelled: true, transactions: simulated, sent: [], failed: [], unsent: [] };
+            }
+        }
+
+        // Stops at the first send or receipt that fails. Transactions confirmed before it stay in `sent` so the
+        // caller can record them; the failure is in `failed` and everything after it in `unsent`
+        const sent = [];
+        const failed = [];
+        for (const tx of transactions) {
+            let response = null;
+            try {
+                response = await this.signer.sendTransaction({ to: tx.to, data: tx.data, value: tx.value });
+                const receipt = await response.wait();
+                if (receipt.status !== 1) {
+                    throw new Error(`Reverted on-chain: ${response.hash}`);
+                }
+                sent.push({ ...tx, hash: response.hash, status: 'confirmed' });
+            } catch (error) {
+                failed.push({ ...tx, hash: response ? response.hash : null, status: 'failed', error: error.shortMessage || error.message });
+                break;
+            }
+        }
+
+        return {
+            dryRun: false,
+            transactions: simulated,
+            sent,
+            failed,
+            unsent: transactions.slice(sent.length + failed.length)
+        };
+    }
+}
+
+module.exports = TransactionExecutor;
@@ -1,63 +1,126 @@
-const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
 const APIManager = require('./api');
+const { createDefaultRegistry } = require('./adapters');
+const { ConfigManager } = require('../config/settings');
 
 class ProtocolDataFetcher {
-    constructor() {
-        this.api = new APIManager();
-        this.apiEndpoints = {
-            compound: 'https://api.compound.finance/api/v2/ctoken',
-            aave: 'https://aave-api-v2.aave.com/data/rates-history',
-            uniswap: 'https://api.thegraph.com/subgraphs/name/uniswap/uniswap-v2'
-        };
+    constructor(config = new ConfigManager(), options = {}) {
+        this.config = config;
+        this.api = options.api || new APIManager();
+        this.registry = options.registry || createDefaultRegistry(this.api);
+
+        // When set, adapters are fed recorded payloads from <fixtureDir>/<id>.json instead of live APIs;
+        // chains other than mainnet read <id>-<chainId>.json
+        this.fixtureDir = options.fixtureDir || null;
+
+        // Optional TimeSeriesStore that records every live snapshot
+        this.timeSeries = options.timeSeries || null;
     }
 
-    async fetchCompoundData() {
-        try {
-            console.log('Fetching Compound data...');
-            // Mock data for now
-            return {
-                name: 'Compound USDC',
-                protocol: 'Compound',
-                apy: 0.0425,
-                tvl: 850000000,
-                token: 'USDC',
-                audited: true,
-                ageInDays: 1200
-            };
-        } catch (error) {
-            console.error('Error fetching Compound data:', error.message);
-            return null;
+    registerAdapter(adapter) {
+        return this.registry.register(adapter);
+    }
+
+    getEnabledProtocols() {
+        return this.config.get('defaultProtocols') || [];
+    }
+
+    getEnabledChains() {
+        return this.config.get('enabledChains') || [1];
+    }
+
+    getFixturePath(protocolId, chainId = 1) {
+        const name = chainId === 1 ? protocolId : `${protocolId}-${chainId}`;
+        return path.join(this.fixtureDir, `${name}.json`);
+    }
+
+    async loadFixture(protocolId, chainId = 1) {
+        const contents = await fs.promises.readFile(this.getFixturePath(protocolId, chainId), 'utf8');
+        return JSON.parse(contents);
+    }
+
+    async fetchProtocolData(protocolId, chainId = 1) {
+        const adapter = this.registry.get(protocolId);
+        if (!adapter) {
+            throw new Error(`No adapter registered for protocol ${protocolId}`);
+        }
+
+        if (!this.registry.supportsChain(protocolId, chainId)) {
+            throw new Error(`Protocol ${protocolId} is not available on chain ${chainId}`);
         }
+
+        const chain = this.config.getChain(chainId);
+        const payload = this.fixtureDir
+            ? await this.loadFixture(protocolId, chainId)
+            : await adapter.fetchPools(chainId);
+
+        // Pool names double as keys across the app, so pools off mainnet carry their chain in the name
+        return adapter.normalize(payload).map(pool => ({
+            ...pool,
+            name: chainId === 1 ? pool.name : `${pool.name} (${chain.label})`,
+            protocolId: adapter.id,
+            chainId
+        }));
     }
 
-    async fetchAaveData() {
-        try {
-            console.log('Fetching Aave data...');
-            return {
-                name: 'Aave USDC',
-                protocol: 'Aave',
-                apy: 0.0389,
-                tvl: 1200000000,
-                token: 'USDC',
-                audited: true,
-                ageInDays: 900
-            };
-        } catch (error) {
-            console.error('Error fetching Aave data:', error.message);
-            return null;
+    // Every enabled protocol on every enabled chain its adapter supports
+    getFetchJobs() {
+        const protocolIds = this.getEnabledProtocols().filter(id => {
+            if (this.registry.has(id)) return true;
+            console.warn(`Skipping ${id}: no adapter registered`);
+            return false;
+        });
+
+        const jobs = [];
+        for (const chainId of this.getEnabledChains()) {
+            for (const protocolId of protocolIds) {
+                if (!this.registry.supportsChain(protocolId, chainId)) continue;
+
+                // Recordings only exist for some chains; a missing one is not an error
+                if (this.fixtureDir && chainId !== 1 && !fs.existsSync(this.getFixturePath(protocolId, chainId))) {
+                    continue;
+                }
+
+                jobs.push({ protocolId, chainId });
+            }
         }
+
+        return jobs;
     }
 
     async fetchAllProtocolData() {
-        const protocols = await Promise.allSettled([
-            this.fetchCompoundData(),
-            this.fetchAaveData()
-        ]);
+        const jobs = this.getFetchJobs();
+
+        const results = await Promise.allSettled(
+            jobs.map(job => this.fetchProtocolData(job.protocolId, job.chainId))
+        );
 
-        return protocols
-            .filter(result => result.status === 'fulfilled' && result.value)
-            .map(result => result.value);
+        const pools = results.flatMap((result, i) => {
+            if (result.status === 'fulfilled') {
+                return result.value;
+            }
+
+            const { protocolId, chainId } = jobs[i];
+            console.error(`Error fetching ${protocolId} data on chain ${chainId}:`, result.reason.message);
+            return [];
+        });
+
+        await this.recordSnapshot(pools);
+        return pools;
+    }
+
+    // Fixture replays are not observations, so only live fetches are recorded
+    async recordSnapshot(pools) {
+        if (!this.timeSeries || this.fixtureDir || pools.length === 0) return;
+
+        try {
+            const prices = await this.api.fetchTokenPrices([...new Set(pools.map(pool => pool.token))]);
+            this.timeSeries.record(pools, prices);
+        } catch (error) {
+            console.error('Failed to record pool snapshot:', error.message);
+        }
     }
 }
 
-module.exports = ProtocolDataFetcher;
\ No newline at end of file
+module.exports = ProtocolDataFetcher;
@@ -11,10 +11,10 @@ console.log('DeFi Yield Optimizer starting...');
 async function main() {
     try {
         const config = new ConfigManager();
-        const optimizer = new YieldOptimizer();
-        const fetcher = new ProtocolDataFetcher();
+        const optimizer = new YieldOptimizer(config);
+        const fetcher = new ProtocolDataFetcher(config, { fixtureDir: process.env.FIXTURE_DIR });
         const portfolio = new PortfolioManager();
-        const riskAssessment = new RiskAssessment();
+        const riskAssessment = new RiskAssessment(config);
         const strategies = new YieldFarmingStrategies(config);
         
         console.log('Fetching protocol data...');
@@ -27,19 +27,26 @@ async function main() {
             console.log(`Risk assessment for ${protocol.name}:`, riskReport.riskLevel);
         }
         
+        const market = await optimizer.costs.loadMarketConditions(fetcher.api);
+        
         console.log('\n=== Strategy Analysis ===');
         const investmentAmount = 5000;
         
-        for (const strategy of ['conservative', 'moderate', 'aggressive']) {
-            const allocation = strategies.optimizeForStrategy(strategy, protocolData, investmentAmount);
+        for (const strategy of strategies.strategies.keys()) {
+            const allocation = strategies.optimizeForStrategy(strategy, protocolData, investmentAmount, { market });
             console.log(`\n${allocation.strategy} Strategy:`);
             console.log(`Expected Yield: ${(allocation.expectedYield * 100).toFixed(2)}%`);
+            console.log(`Net Yield: ${(allocation.netYield * 100).toFixed(2)}% after $${allocation.totalCosts.toFixed(2)} in costs`);
+            console.log(`From Rewards: ${(allocation.rewardShare * 100).toFixed(1)}% of yield`);
             console.log(`Risk Level: ${(allocation.averageRisk * 100).toFixed(1)}%`);
             console.log(`Protocols: ${allocation.diversification}`);
         }
         
-        const allocation = optimizer.calculateOptimalAllocation(1000);
-        portfolio.addPosition(allocation.recommended, 500, allocation.recommended.apy);
+        const allocation = optimizer.calculateOptimalAllocation(500, market);
+        const prices = await fetcher.api.fetchTokenPrices([allocation.recommended.token]);
+        const entryPrice = prices[allocation.recommended.token] || 1;
+        portfolio.addPosition(allocation.recommended, 500 / entryPrice, entryPrice);
+        portfolio.revalue(prices, protocolData);
         
         console.log('\n=== Portfolio Status ===');
         console.log('Portfolio weights:', portfolio.calculateWeights());
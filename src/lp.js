@@ -0,0 +1,97 @@
+// Impermanent loss for constant-product (Uniswap V2 style) LP positions. Pools qualify when the adapter
+// reports `tokens` and `reserves` for exactly two tokens
+class LPAnalytics {
+    constructor(config = null) {
+        // Only needed for estimateExposure, which reads the shared price volatility settings
+        this.config = config;
+    }
+
+    isLPPool(pool) {
+        return Boolean(pool) && Array.isArray(pool.tokens) && pool.tokens.length === 2 &&
+            Array.isArray(pool.reserves) && pool.reserves.every(reserve => reserve > 0);
+    }
+
+    // USD price of each token implied by the pool: reserves are worth half the TVL on each side
+    poolPrices(pool) {
+        return pool.reserves.map(reserve => pool.tvl / (2 * reserve));
+    }
+
+    // What an LP ledger entry stores at deposit time; explicit token prices win over pool-implied ones
+    snapshot(pool, prices = {}) {
+        const implied = this.poolPrices(pool);
+        return {
+            tokens: pool.tokens.slice(),
+            reserves: pool.reserves.slice(),
+            prices: pool.tokens.map((token, i) => prices[token] || implied[i])
+        };
+    }
+
+    currentPrices(lp, pool = null, prices = {}) {
+        const implied = this.isLPPool(pool) ? this.poolPrices(pool) : lp.entryPrices;
+        return lp.tokens.map((token, i) => prices[token] || implied[i]);
+    }
+
+    // Loss vs. holding the two tokens after their relative price moved by `priceRatio`; zero or negative
+    impermanentLossAtRatio(priceRatio) {
+        return (2 * Math.sqrt(priceRatio)) / (1 + priceRatio) - 1;
+    }
+
+    impermanentLoss(entryPrices, currentPrices) {
+        const priceRatio = (currentPrices[0] / entryPrices[0]) / (currentPrices[1] / entryPrices[1]);
+        return this.impermanentLossAtRatio(priceRatio);
+    }
+
+    // Value of one unit of LP principal relative to entry: sqrt of the product of both price moves,
+    // i.e. the HODL ratio after impermanent loss
+    valueRatio(entryPrices, currentPrices) {
+        return Math.sqrt((currentPrices[0] / entryPrices[0]) * (currentPrices[1] / entryPrices[1]));
+    }
+
+    // Position fields come from PortfolioManager: lp.entryPrices is the deposit-weighted entry snapshot and
+    // accruedInterest the fee income in LP units, accrued at the pool's APY
+    analyzePosition(position, pool = null, prices = {}) {
+        const current = this.currentPrices(position.lp, pool, prices);
+        const entry = position.lp.entryPrices;
+        const hodlValue = position.costBasis * ((current[0] / entry[0]) + (current[1] / entry[1])) / 2;
+        const lpValue = position.costBasis * this.valueRatio(entry, current);
+        const feeIncome = (position.accruedInterest || 0) * position.entryPrice * this.valueRatio(entry, current);
+
+        return {
+            tokens: position.lp.tokens,
+            entryPrices: entry,
+            currentPrices: current,
+            costBasis: position.costBasis,
+            hodlValue,
+            lpValue,
+            impermanentLoss: this.impermanentLoss(entry, current),
+            impermanentLossUsd: lpValue - hodlValue,
+            feeIncome,
+            netReturn: lpValue + feeIncome - position.costBasis,
+            netVsHodl: lpValue + feeIncome - hodlValue
+        };
+    }
+
+    // Expected impermanent loss (as a positive fraction) after a one-standard-deviation move in the
+    // tokens' relative price over `days`
+    estimateExposure(pool, days = this.config.get('holdingPeriodDays')) {
+        if (!this.isLPPool(pool)) return 0;
+
+        const stableTokens = this.config.get('stableTokens').map(token => token.toUpperCase());
+        const stable = pool.tokens.map(token => stableTokens.includes(token.toUpperCase()));
+        const [vol0, vol1] = stable.map(isStable => (isStable
+            ? this.config.get('stablePriceVolatility')
+            : this.config.get('priceVolatility')));
+        const correlation = !stable[0] && !stable[1] ? this.config.get('priceCorrelation') : 0;
+
+        const relativeVolatility = Math.sqrt(vol0 * vol0 + vol1 * vol1 - 2 * correlation * vol0 * vol1);
+        const move = relativeVolatility * Math.sqrt(days / 365);
+        return -this.impermanentLossAtRatio(Math.exp(move));
+    }
+
+    // 0-1 risk score for the exposure, scaled like RiskAssessment.calculateVolatilityRisk; 0 for non-AMM pools
+    assessRisk(pool) {
+        return Math.min(1, this.estimateExposure(pool) * 10);
+    }
+}
+
+module.exports = LPAnalytics;
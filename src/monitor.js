@@ -0,0 +1,222 @@
+const RISK_LEVELS = ['Low', 'Medium', 'High'];
+
+class YieldMonitor {
+    constructor(config, options = {}) {
+        this.config = config;
+        this.fetcher = options.fetcher;
+        this.notifications = options.notifications;
+        this.riskAssessment = options.riskAssessment;
+        // Optional: revalues the portfolio on priceUpdateInterval
+        this.valuator = options.valuator || null;
+        // Called with each successful snapshot so callers can swap in the fresh pools
+        this.onSnapshot = options.onSnapshot || null;
+        // First retry delay after a failed poll; doubles on each consecutive failure up to the poll interval
+        this.retryDelay = options.retryDelay || 30000;
+
+        this.snapshot = null;
+        this.protocolTimer = null;
+        this.priceTimer = null;
+        this.running = false;
+        // Bumped on every start and stop so a poll still in flight from an earlier run can neither report
+        // its snapshot nor schedule another poll
+        this.generation = 0;
+        this.status = {
+            polls: 0,
+            failures: 0,
+            consecutiveFailures: 0,
+            alertsFired: 0,
+            lastPollAt: null,
+            lastSuccessAt: null,
+            lastError: null,
+            nextPollAt: null,
+            lastChanges: []
+        };
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.generation++;
+
+        this.scheduleProtocolPoll(0);
+
+        if (this.valuator) {
+            const interval = this.config.get('priceUpdateInterval');
+            this.priceTimer = setInterval(() => {
+                this.valuator.revalue().catch(error => {
+                    console.error('Monitor revaluation failed:', error.message);
+                });
+            }, interval);
+        }
+    }
+
+    stop() {
+        this.running = false;
+        this.generation++;
+        clearTimeout(this.protocolTimer);
+        clearInterval(this.priceTimer);
+        this.protocolTimer = null;
+        this.priceTimer = null;
+        this.status.nextPollAt = null;
+    }
+
+    isRunning() {
+        return this.running;
+    }
+
+    scheduleProtocolPoll(delay, generation = this.generation) {
+        if (!this.running || generation !== this.generation) return;
+
+        this.status.nextPollAt = new Date(Date.now() + delay);
+        this.protocolTimer = setTimeout(async () => {
+            await this.poll(generation);
+            this.scheduleProtocolPoll(this.getNextDelay(), generation);
+        }, delay);
+    }
+
+    getNextDelay() {
+        const interval = this.config.get('protocolDataUpdateInterval');
+        if (this.status.consecutiveFailures === 0) return interval;
+
+        return Math.min(interval, this.retryDelay * Math.pow(2, this.status.consecutiveFailures - 1));
+    }
+
+    // Fetches one snapshot, diffs it against the previous one and fires alerts; never throws. A poll whose
+    // run was stopped while it fetched is dropped without touching the snapshot or status
+    async poll(generation = this.generation) {
+        this.status.polls++;
+        this.status.lastPollAt = new Date();
+
+        try {
+            const pools = await this.fetcher.fetchAllProtocolData();
+            if (generation !== this.generation) return [];
+            // The fetcher logs and drops failed protocols, so an empty result means every source failed
+            if (pools.length === 0) {
+                throw new Error('No pools returned by any protocol');
+            }
+
+            const snapshot = this.takeSnapshot(pools);
+            const changes = this.snapshot ? this.diff(this.snapshot, snapshot) : [];
+
+            this.snapshot = snapshot;
+            this.status.consecutiveFailures = 0;
+            this.status.lastSuccessAt = new Date();
+            this.status.lastError = null;
+            this.status.lastChanges = changes;
+
+            await this.fireAlerts(changes);
+            if (this.onSnapshot) this.onSnapshot(pools);
+
+            return changes;
+        } catch (error) {
+            if (generation !== this.generation) return [];
+            this.status.failures++;
+            this.status.consecutiveFailures++;
+            this.status.lastError = error.message;
+            console.error(`Monitor poll failed (${this.status.consecutiveFailures} in a row):`, error.message);
+            return [];
+        }
+    }
+
+    takeSnapshot(pools) {
+        const snapshot = new Map();
+
+        for (const pool of pools) {
+            const report = this.riskAssessment.generateRiskReport(pool);
+            snapshot.set(pool.name, {
+                apy: pool.apy,
+                riskScore: report.overallRisk,
+                riskLevel: report.riskLevel
+            });
+        }
+
+        return snapshot;
+    }
+
+    // Pools missing from either snapshot are ignored; a single failed adapter should not look like a change
+    diff(previous, current) {
+        const threshold = this.config.get('notificationThreshold');
+        const changes = [];
+
+        for (const [name, now] of current) {
+            const before = previous.get(name);
+            if (!before) continue;
+
+            const relativeChange = before.apy > 0
+                ? Math.abs(now.apy - before.apy) / before.apy
+                : (now.apy > 0 ? Infinity : 0);
+
+            if (relativeChange > threshold) {
+                changes.push({ type: 'yield', pool: name, oldAPY: before.apy, newAPY: now.apy });
+            }
+
+            if (RISK_LEVELS.indexOf(now.riskLevel) > RISK_LEVELS.indexOf(before.riskLevel)) {
+                changes.push({
+                    type: 'risk',
+                    pool: name,
+                    oldLevel: before.riskLevel,
+                    newLevel: now.riskLevel,
+                    riskScore: now.riskScore
+                });
+            }
+        }
+
+        return changes;
+    }
+
+    async fireAlerts(changes) {
+        if (!this.config.get('enableNotifications')) return;
+
+        for (const change of changes) {
+            try {
+                if (change.type === 'yield') {
+                    await this.notifications.alertYieldChange(change.pool, change.oldAPY, change.newAPY);
+                } else {
+                    await this.notifications.alertRiskIncrease(change.pool, change.riskScore);
+                }
+                this.status.alertsFired++;
+            } catch (error) {
+                console.error(`Failed to alert on ${change.pool}:`, error.message);
+            }
+        }
+    }
+
+    getStatus() {
+        return {
+            running: this.running,
+            pools: this.snapshot ? this.snapshot.size : 0,
+            revaluing: Boolean(this.priceTimer),
+            ...this.status
+        };
+    }
+}
+
+module.exports = YieldMonitor;
+
+// Run the monitor as a daemon if this file is executed directly
+if (require.main === module) {
+    require('dotenv').config();
+
+    const ProtocolDataFetcher = require('./fetcher');
+    const NotificationManager = require('./notifications');
+    const RiskAssessment = require('./risk');
+    const { ConfigManager } = require('../config/settings');
+
+    const config = new ConfigManager();
+    const monitor = new YieldMonitor(config, {
+        fetcher: new ProtocolDataFetcher(config, { fixtureDir: process.env.FIXTURE_DIR }),
+        notifications: new NotificationManager(config),
+        riskAssessment: new RiskAssessment(config)
+    });
+
+    console.log(`Monitoring ${config.get('defaultProtocols').join(', ')} every ${config.get('protocolDataUpdateInterval') / 1000}s`);
+    if (!config.get('enableNotifications')) {
+        console.log('enableNotifications is off: changes are detected but no alerts are sent');
+    }
+    monitor.start();
+
+    process.on('SIGINT', () => {
+        monitor.stop();
+        process.exit(0);
+    });
+}
@@ -0,0 +1,184 @@
+const RiskModel = require('./riskmodel');
+const { seededRandom, gaussian } = require('./random');
+
+const PROBABILITY_FIELDS = ['priceCorrelation', 'depegProbability', 'depegLoss', 'exploitProbability', 'exploitLoss'];
+
+class MonteCarloSimulator {
+    // options.timeSeries lets portfolio positions be risk-scored with recorded price history
+    constructor(config, options = {}) {
+        this.config = config;
+        this.riskModel = new RiskModel(config, { timeSeries: options.timeSeries });
+    }
+
+    getSettings(overrides = {}) {
+        const settings = {
+            stableTokens: this.config.get('stableTokens'),
+            priceVolatility: this.config.get('priceVolatility'),
+            stablePriceVolatility: this.config.get('stablePriceVolatility'),
+            priceCorrelation: this.config.get('priceCorrelation'),
+            ...this.config.get('monteCarlo'),
+            ...overrides
+        };
+
+        if (!(settings.paths >= 1) || !(settings.horizonDays >= 1)) {
+            throw new Error('Monte Carlo needs at least one path and a horizon of at least one day');
+        }
+        for (const field of PROBABILITY_FIELDS) {
+            if (!(settings[field] >= 0 && settings[field] <= 1)) {
+                throw new Error(`${field} must be between 0 and 1`);
+            }
+        }
+        return settings;
+    }
+
+    // Positions from an optimizeForStrategy allocation; unallocated cash is held flat
+    positionsFromAllocation(allocation, pools = []) {
+        const positions = allocation.allocations.map(alloc => {
+            const pool = pools.find(p => p.name === alloc.protocol) || {};
+            return {
+                name: alloc.protocol,
+                value: alloc.amount,
+                apy: alloc.expectedAPY,
+                token: pool.token,
+                risk: alloc.risk
+            };
+        });
+
+        if (allocation.unallocated > 0) {
+            positions.push({ name: 'Cash', value: allocation.unallocated, apy: 0, cash: true });
+        }
+        return positions;
+    }
+
+    // Positions from PortfolioManager at their last valuation, using the current APY and risk score of each
+    // pool if it was fetched
+    positionsFromPortfolio(portfolio, pools = []) {
+        return portfolio.positions.map(position => {
+            const pool = pools.find(p => p.name === position.protocol.name) || position.protocol;
+            return {
+                name: pool.name,
+                value: position.currentValue,
+                apy: pool.apy || 0,
+                token: pool.token,
+                risk: this.riskModel.score(pool)
+            };
+        });
+    }
+
+    // Simulates daily paths over the horizon. Each day, every position earns its APY, which drifts as a
+    // lognormal walk, and moves with its token price: a correlated lognormal walk, using the stable volatility
+    // when every token in it is a stableToken. Depeg events cut every holding of the token by depegLoss
+    // (an LP token such as DAI-USDC-USDT by that token's share); exploit events cut one pool by exploitLoss,
+    // with exploitProbability scaled by the pool's risk score (relative to 0.5) when known.
+    // Each event happens at most once per path. The same seed always gives the same result
+    simulate(positions, overrides = {}) {
+        const settings = this.getSettings(overrides);
+        const initialValue = positions.reduce((sum, position) => sum + position.value, 0);
+        if (!(initialValue > 0)) {
+            throw new Error('Nothing to simulate: positions hold no value');
+        }
+
+        const rand = seededRandom(settings.seed);
+        const dt = 1 / 365;
+        const stableTokens = settings.stableTokens.map(token => token.toUpperCase());
+        const components = positions.map(position => (position.token ? position.token.toUpperCase().split(/[-/]/) : []));
+        const isStable = i => components[i].length > 0 && components[i].every(token => stableTokens.includes(token));
+        const dailyProbability = annual => 1 - Math.pow(1 - Math.min(1, annual), dt);
+
+        const depegDaily = dailyProbability(settings.depegProbability);
+        const exploitDaily = positions.map(position => dailyProbability(position.risk !== undefined
+            ? settings.exploitProbability * position.risk / 0.5
+            : settings.exploitProbability));
+        const tokens = [...new Set(components.flat().filter(token => stableTokens.includes(token)))];
+        const idiosyncratic = Math.sqrt(1 - settings.priceCorrelation * settings.priceCorrelation);
+
+        const returns = [];
+        let depegs = 0;
+        let exploits = 0;
+
+        for (let path = 0; path < settings.paths; path++) {
+            const values = positions.map(position => position.value);
+            const apys = positions.map(position => position.apy);
+            const depegged = new Set();
+            const exploited = new Set();
+
+            for (let day = 0; day < settings.horizonDays; day++) {
+                const marketShock = gaussian(rand);
+
+                for (const token of tokens) {
+                    if (!depegged.has(token) && rand() < depegDaily) {
+                        depegged.add(token);
+                        depegs++;
+                        components.forEach((parts, i) => {
+                            if (parts.includes(token)) values[i] *= 1 - settings.depegLoss / parts.length;
+                        });
+                    }
+                }
+
+                positions.forEach((position, i) => {
+                    if (position.cash) return;
+
+                    const volatility = isStable(i) ? settings.stablePriceVolatility : settings.priceVolatility;
+                    const shock = settings.priceCorrelation * marketShock + idiosyncratic * gaussian(rand);
+                    const priceMove = Math.exp(-0.5 * volatility * volatility * dt + volatility * Math.sqrt(dt) * shock);
+                    values[i] *= priceMove * (1 + apys[i] * dt);
+
+                    const apyShock = gaussian(rand);
+                    apys[i] *= Math.exp(-0.5 * settings.apyVolatility * settings.apyVolatility * dt +
+                        settings.apyVolatility * Math.sqrt(dt) * apyShock);
+
+                    if (!exploited.has(i) && rand() < exploitDaily[i]) {
+                        exploited.add(i);
+                        exploits++;
+                        values[i] *= 1 - settings.exploitLoss;
+                    }
+                });
+            }
+
+            returns.push(values.reduce((sum, value) => sum + value, 0) / initialValue - 1);
+        }
+
+        return this.summarize(returns, initialValue, settings, { depegs, exploits });
+    }
+
+    summarize(returns, initialValue, settings, events) {
+        const sorted = [...returns].sort((a, b) => a - b);
+        const mean = sorted.reduce((sum, r) => sum + r, 0) / sorted.length;
+        const variance = sorted.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / sorted.length;
+        const percentile = p => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+        // 95% value at risk and expected shortfall (the average of the worst 5% of outcomes), as positive losses
+        const tailSize = Math.max(1, Math.floor(sorted.length * 0.05));
+        const tail = sorted.slice(0, tailSize);
+
+        return {
+            paths: settings.paths,
+            horizonDays: settings.horizonDays,
+            seed: settings.seed,
+            initialValue,
+            expectedReturn: mean,
+            medianReturn: percentile(0.5),
+            standardDeviation: Math.sqrt(variance),
+            percentiles: {
+                p1: percentile(0.01),
+                p5: percentile(0.05),
+                p25: percentile(0.25),
+                p50: percentile(0.5),
+                p75: percentile(0.75),
+                p95: percentile(0.95),
+                p99: percentile(0.99)
+            },
+            valueAtRisk: Math.max(0, -percentile(0.05)),
+            expectedShortfall: Math.max(0, -tail.reduce((sum, r) => sum + r, 0) / tail.length),
+            probabilityOfLoss: sorted.filter(r => r < 0).length / sorted.length,
+            worstReturn: sorted[0],
+            bestReturn: sorted[sorted.length - 1],
+            events: {
+                depegsPerPath: events.depegs / settings.paths,
+                exploitsPerPath: events.exploits / settings.paths
+            }
+        };
+    }
+}
+
+module.exports = MonteCarloSimulator;
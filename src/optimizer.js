@@ -1,5 +1,13 @@
+const CostModel = require('./costs');
+const RiskModel = require('./riskmodel');
+const { ConfigManager } = require('../config/settings');
+
 class YieldOptimizer {
-    constructor() {
+    // options.timeSeries supplies price history for volatility and peg deviation for asset risk
+    constructor(config = new ConfigManager(), options = {}) {
+        this.config = config;
+        this.costs = new CostModel(config);
+        this.riskModel = new RiskModel(config, { timeSeries: options.timeSeries });
         this.protocols = [];
         this.userPortfolio = {};
         this.riskTolerance = 'medium';
@@ -12,11 +20,26 @@ class YieldOptimizer {
         console.log(`Added protocol: ${protocolData.name}`);
     }
 
-    calculateOptimalAllocation(amount) {
+    calculateOptimalAllocation(amount, market = null) {
         if (this.protocols.length === 0) {
             throw new Error('No protocols available');
         }
 
+        if (market) {
+            const ranked = this.protocols
+                .map(protocol => ({
+                    ...protocol,
+                    netAPY: this.costs.calculateNetAPY(protocol, amount, market),
+                    costs: this.costs.estimateCosts(protocol, amount, market)
+                }))
+                .sort((a, b) => b.netAPY - a.netAPY);
+
+            return {
+                recommended: ranked[0],
+                alternatives: ranked.slice(1, 3)
+            };
+        }
+
         const sortedProtocols = this.protocols.sort((a, b) => b.apy - a.apy);
         
         return {
@@ -26,14 +49,7 @@ class YieldOptimizer {
     }
 
     assessRisk(protocol) {
-        const riskFactors = {
-            tvl: protocol.tvl > 100000000 ? 0.1 : 0.3,
-            age: protocol.ageInDays > 365 ? 0.1 : 0.4,
-            audits: protocol.audited ? 0.1 : 0.5
-        };
-
-        const riskScore = Object.values(riskFactors).reduce((sum, risk) => sum + risk, 0) / 3;
-        return riskScore;
+        return this.riskModel.score(protocol);
     }
 }
 
@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+const BacktestEngine = require('./backtest');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Paper trading: a strategy trades a simulated book instead of real capital. The book is a BacktestEngine run
+// kept open and saved between sessions. It advances one completed day at a time through the snapshots in the
+// time-series store, live ones as the fetcher records them or older ones when started in the past. The
+// strategy's decision rule trades each day, and executed rebalance plans fill into the same book. Fills pay the
+// simulated gas, slippage and fees a backtest charges, so its reports line up with BacktestEngine's
+class PaperTrader {
+    constructor(config, strategies, options = {}) {
+        this.config = config;
+        this.strategies = strategies;
+        this.timeSeries = options.timeSeries || null;
+        this.costModel = options.costModel || null;
+        this.filePath = options.filePath !== undefined ? options.filePath : config.get('paperTradingPath');
+        this.engine = null;
+        this.run = null;
+        this.startedAt = null;
+        // Latest pool records, for valuing and planning against the book between steps
+        this.pools = [];
+        this.load();
+    }
+
+    isActive() {
+        return this.run !== null;
+    }
+
+    requireActive() {
+        if (!this.isActive()) {
+            throw new Error('No paper portfolio. Start one with "paper start <strategy> [capital]"');
+        }
+    }
+
+    createEngine() {
+        return new BacktestEngine(this.strategies, [], {
+            costModel: this.costModel,
+            withdrawalDelays: this.config.get('withdrawalDelays'),
+            quiet: true
+        });
+    }
+
+    // startedAt may be in the past to replay recorded history before trading live
+    start(strategyName, initialCapital = 10000, startedAt = Date.now()) {
+        if (this.isActive()) {
+            throw new Error(`A paper portfolio is already trading ${this.run.results.strategy}; reset it first`);
+        }
+        if (!this.strategies.getStrategy(strategyName)) {
+            throw new Error(`Unknown strategy "${strategyName}". Available: ${Array.from(this.strategies.strategies.keys()).join(', ')}`);
+        }
+        if (!(initialCapital > 0)) {
+            throw new Error('Paper trading needs a starting capital above 0');
+        }
+
+        this.engine = this.createEngine();
+        this.run = this.engine.startRun(strategyName, initialCapital);
+        this.startedAt = new Date(startedAt).getTime();
+        this.pools = [];
+        this.save();
+        return this.getStatus();
+    }
+
+    reset() {
+        this.engine = null;
+        this.run = null;
+        this.startedAt = null;
+        this.pools = [];
+        if (this.filePath && fs.existsSync(this.filePath)) {
+            fs.unlinkSync(this.filePath);
+        }
+    }
+
+    // Trades every recorded day that has ended since the last step, up to `until`. A day is only traded once
+    // it is complete so its frame matches what a backtest over the same dates sees. `market` prices gas for
+    // days without recorded market conditions
+    step(until = Date.now(), market = null) {
+        this.requireActive();
+        if (!this.timeSeries) {
+            throw new Error('Paper trading needs a time-series store to read pool snapshots from');
+        }
+
+        const end = new Date(until).getTime();
+        const last = this.run.lastTimestamp;
+        // The last traded day is read again so the first new frame's momentum is measured against it
+        const from = last !== null ? last : Math.floor(this.startedAt / DAY_MS) * DAY_MS;
+        const frames = this.timeSeries.toBacktestData(from, end)
+            .filter(frame => (last === null || frame.timestamp > last) && frame.timestamp + DAY_MS <= end);
+
+        this.engine.market = market;
+        const tradesBefore = this.run.results.trades.length;
+        for (const frame of frames) {
+            this.engine.processFrame(this.run, frame);
+            this.pools = frame.protocols;
+        }
+
+        if (frames.length > 0) this.save();
+        return {
+            days: frames.length,
+            trades: this.run.results.trades.slice(tradesBefore),
+            status: this.getStatus()
+        };
+    }
+
+    // Fills a RebalancePlanner plan made against getPortfolio(). Withdrawals sell the planned token amounts;
+    // deposits spend what the planner budgeted, and the simulated costs come out of it. Fills are dated on the
+    // book's clock, the last traded day (or the day it started), not the wall clock. The value after them
+    // replaces that day's point, so their costs show in the history without adding a return sample
+    applyPlan(plan, market = null) {
+        this.requireActive();
+
+        const date = new Date(this.run.lastTimestamp !== null ? this.run.lastTimestamp : Math.floor(this.startedAt / DAY_MS) * DAY_MS);
+        const tradesBefore = this.run.results.trades.length;
+        this.engine.market = market;
+
+        for (const move of plan.moves) {
+            const order = move.action === 'withdraw'
+                ? { action: 'sell', protocol: move.protocol, amount: move.positions.reduce((sum, leg) => sum + leg.tokenAmount, 0) }
+                : { action: 'buy', protocol: move.protocol, amount: move.amount + move.estimatedCost };
+
+            this.engine.applyOrder(order, {
+                portfolio: this.run.portfolio,
+                costBasis: this.run.costBasis,
+                prices: this.run.prices,
+                trades: this.run.results.trades,
+                costs: this.run.results.costs,
+                frame: { protocols: [].concat(move.pool || [], this.pools), market: null },
+                date
+            });
+        }
+
+        const fills = this.run.results.trades.slice(tradesBefore);
+        if (fills.length > 0) {
+            this.engine.updateLastValue(this.run);
+            this.save();
+        }
+        return fills;
+    }
+
+    // The book in the shape RebalancePlanner and the CLI use for the ledger-backed portfolio
+    getPortfolio() {
+        this.requireActive();
+
+        const positions = Object.entries(this.run.portfolio).map(([name, amount]) => {
+            const price = this.run.prices[name] || 1;
+            return {
+                id: name,
+                protocol: this.pools.find(pool => pool.name === name) || { name, protocol: name, apy: this.run.lastAPY[name] || 0 },
+                amount,
+                currentValue: amount * price,
+                costBasis: this.run.costBasis[name] || 0
+            };
+        });
+
+        return {
+            positions,
+            totalValue: positions.reduce((sum, position) => sum + position.currentValue, 0)
+        };
+    }
+
+    getCash() {
+        return this.engine.getAvailableCapital();
+    }
+
+    getStatus() {
+        if (!this.isActive()) return { active: false };
+
+        const portfolio = this.getPortfolio();
+        const pending = this.engine.getPendingValue();
+        const totalValue = this.getCash() + pending + portfolio.totalValue;
+        const { results } = this.run;
+
+        return {
+            active: true,
+            strategy: results.strategy,
+            startedAt: new Date(this.startedAt),
+            lastStep: this.run.lastTimestamp !== null ? new Date(this.run.lastTimestamp) : null,
+            days: results.portfolioHistory.length,
+            initialCapital: results.initialCapital,
+            cash: this.getCash(),
+            pending,
+            positions: portfolio.positions,
+            totalValue,
+            pnl: totalValue - results.initialCapital
+        };
+    }
+
+    // The run's results and BacktestEngine report, scored over the days traded so far
+    getReport() {
+        this.requireActive();
+
+        const results = this.engine.finishRun(this.run);
+        return { results, report: this.engine.generateReport(results.strategy) };
+    }
+
+    // Backtests the same strategy and capital over the days the book has traded, from the same recorded
+    // snapshots. The two differ only by plans executed into the book by hand
+    async compareWithBacktest() {
+        this.requireActive();
+
+        const history = this.run.results.portfolioHistory;
+        if (history.length === 0 || !this.timeSeries) return null;
+
+        const start = history[0].date;
+        const end = history[history.length - 1].date;
+        const engine = new BacktestEngine(this.strategies, this.timeSeries.toBacktestData(start, new Date(end.getTime() + DAY_MS - 1)), {
+            costModel: this.costModel,
+            market: this.engine.market,
+            withdrawalDelays: this.config.get('withdrawalDelays'),
+            quiet: true
+        });
+
+        const results = await engine.runBacktest(this.run.results.strategy, start, end, this.run.results.initialCapital);
+        return { results, report: engine.generateReport(results.strategy) };
+    }
+
+    load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        if (!data.run || !data.run.results) {
+            throw new Error(`Paper portfolio ${this.filePath} has no run`);
+        }
+
+        // JSON turns dates into strings; the engine's metrics and reports expect Date objects
+        const { results } = data.run;
+        results.portfolioHistory.forEach(entry => { entry.date = new Date(entry.date); });
+        results.trades.forEach(trade => {
+            trade.date = new Date(trade.date);
+            if (trade.availableAt) trade.availableAt = new Date(trade.availableAt);
+        });
+
+        this.engine = this.createEngine();
+        this.engine.cash = data.cash;
+        this.engine.pendingWithdrawals = data.pendingWithdrawals;
+        this.engine.decisionState = data.decisionState;
+        this.run = data.run;
+        this.startedAt = data.startedAt;
+        this.pools = data.pools || [];
+    }
+
+    save() {
+        if (!this.filePath) return;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        // Write to a temp file first so a crash mid-write never truncates the book
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({
+            version: 1,
+            startedAt: this.startedAt,
+            cash: this.engine.cash,
+            pendingWithdrawals: this.engine.pendingWithdrawals,
+            decisionState: this.engine.decisionState,
+            pools: this.pools,
+            run: this.run
+        }, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+}
+
+module.exports = PaperTrader;
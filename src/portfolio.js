@@ -1,28 +1,278 @@
+const crypto = require('crypto');
+const PortfolioStore = require('./store');
+const LPAnalytics = require('./lp');
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
 class PortfolioManager {
-    constructor() {
+    constructor(store = new PortfolioStore()) {
+        this.store = store;
         this.positions = [];
         this.totalValue = 0;
         this.rebalanceThreshold = 0.1;
+        this.lastValuation = null;
+        this.lp = new LPAnalytics();
+
+        this.rebuildPositions();
     }
 
     addPosition(protocol, amount, entryPrice) {
-        const position = {
-            id: Date.now(),
-            protocol,
+        const entry = this.store.append(this.withLPSnapshot({
+            type: 'deposit',
+            positionId: crypto.randomUUID(),
+            pool: protocol,
             amount,
-            entryPrice,
-            currentValue: amount * entryPrice,
-            timestamp: new Date()
-        };
-        
-        this.positions.push(position);
-        this.updateTotalValue();
+            price: entryPrice
+        }, protocol));
+
+        this.rebuildPositions();
         console.log(`Added position: ${amount} in ${protocol.name}`);
+        return this.getPosition(entry.positionId);
+    }
+
+    deposit(positionId, amount, price) {
+        const position = this.requirePosition(positionId);
+        this.store.append(this.withLPSnapshot({ type: 'deposit', positionId, pool: position.protocol, amount, price }, this.findCurrentPool(position)));
+        this.rebuildPositions();
+        return this.getPosition(positionId);
+    }
+
+    withdraw(positionId, amount, price) {
+        const position = this.requirePosition(positionId);
+        if (amount > position.amount) {
+            throw new Error(`Cannot withdraw ${amount}; position ${positionId} holds ${position.amount}`);
+        }
+
+        this.store.append({ type: 'withdrawal', positionId, amount, price });
+        this.rebuildPositions();
+        return this.getPosition(positionId);
+    }
+
+    recordHarvest(positionId, value, note = '') {
+        this.requirePosition(positionId);
+        this.store.append({ type: 'harvest', positionId, value, note });
+        this.rebuildPositions();
+        return this.getPosition(positionId);
+    }
+
+    recordFee(positionId, value, note = '') {
+        this.requirePosition(positionId);
+        this.store.append({ type: 'fee', positionId, value, note });
+        this.rebuildPositions();
+        return this.getPosition(positionId);
+    }
+
+    editEntry(entryId, changes) {
+        const amendment = this.store.amend(entryId, changes);
+        this.rebuildPositions();
+        return amendment;
+    }
+
+    removeEntry(entryId, note = '') {
+        const voidEntry = this.store.void(entryId, note);
+        this.rebuildPositions();
+        return voidEntry;
     }
 
     removePosition(positionId) {
-        this.positions = this.positions.filter(pos => pos.id !== positionId);
+        for (const entry of this.store.getEffectiveEntries()) {
+            if (entry.positionId === positionId) {
+                this.store.void(entry.id, 'position removed');
+            }
+        }
+        this.rebuildPositions();
+    }
+
+    // Records the fills of an executed rebalance plan; prices map token symbols to USD
+    applyPlan(plan, prices = {}) {
+        for (const move of plan.moves) {
+            const price = prices[move.pool.token] || 1;
+
+            if (move.action === 'withdraw') {
+                for (const leg of move.positions) {
+                    this.recordWithdrawalLeg(leg, price);
+                }
+            } else {
+                this.addPosition(move.pool, move.amount / price, price);
+            }
+        }
+    }
+
+    // Records only the confirmed deposit and withdrawal calls of a plan, one ledger entry each, so a plan that
+    // failed partway leaves the ledger matching the chain. Approvals record nothing
+    applyTransactions(plan, transactions, prices = {}) {
+        for (const tx of transactions) {
+            if (tx.status !== 'confirmed') continue;
+
+            const move = plan.moves.find(m => m.step === tx.step);
+            const price = prices[move.pool.token] || 1;
+
+            if (tx.action === 'withdraw') {
+                this.recordWithdrawalLeg(move.positions.find(leg => leg.positionId === tx.positionId), price);
+            } else if (tx.action === 'deposit') {
+                this.addPosition(move.pool, move.amount / price, price);
+            }
+        }
+    }
+
+    recordWithdrawalLeg(leg, price) {
+        const position = this.requirePosition(leg.positionId);
+        this.withdraw(leg.positionId, Math.min(leg.tokenAmount, position.amount), leg.value / leg.tokenAmount || price);
+    }
+
+    // Deposits into AMM pools record the pool's reserves and token prices so impermanent loss can be measured
+    withLPSnapshot(entry, pool) {
+        return this.lp.isLPPool(pool) ? { ...entry, lp: this.lp.snapshot(pool) } : entry;
+    }
+
+    // The latest pool record for a position: from the last valuation if it had one, else the pool at entry
+    findCurrentPool(position) {
+        const pools = this.lastValuation ? this.lastValuation.pools : [];
+        return pools.find(p => p.name === position.protocol.name) || position.protocol;
+    }
+
+    getLedger() {
+        return this.store.getEffectiveEntries();
+    }
+
+    // Replays the ledger in order; cost basis uses the average-cost method
+    rebuildPositions() {
+        const positions = new Map();
+
+        for (const entry of this.store.getEffectiveEntries()) {
+            let position = positions.get(entry.positionId);
+
+            if (entry.type === 'deposit') {
+                if (!position) {
+                    position = {
+                        id: entry.positionId,
+                        protocol: entry.pool,
+                        amount: 0,
+                        entryPrice: 0,
+                        costBasis: 0,
+                        harvested: 0,
+                        fees: 0,
+                        realizedPnL: 0,
+                        accruedInterest: 0,
+                        unrealizedPnL: 0,
+                        currentValue: 0,
+                        timestamp: new Date(entry.timestamp)
+                    };
+                    positions.set(entry.positionId, position);
+                }
+
+                if (entry.lp) {
+                    this.addLPEntry(position, entry);
+                }
+
+                position.amount += entry.amount;
+                position.costBasis += entry.amount * entry.price;
+            } else if (!position) {
+                continue;
+            } else if (entry.type === 'withdrawal') {
+                const averageCost = position.amount > 0 ? position.costBasis / position.amount : 0;
+                position.realizedPnL += entry.amount * (entry.price - averageCost);
+                position.costBasis -= entry.amount * averageCost;
+                position.amount -= entry.amount;
+            } else if (entry.type === 'harvest') {
+                position.harvested += entry.value;
+                position.realizedPnL += entry.value;
+            } else if (entry.type === 'fee') {
+                position.fees += entry.value;
+                position.realizedPnL -= entry.value;
+            }
+
+            position.entryPrice = position.amount > 0 ? position.costBasis / position.amount : 0;
+            position.currentValue = position.costBasis;
+        }
+
+        this.positions = Array.from(positions.values()).filter(pos => pos.amount > 1e-12);
+
+        if (this.lastValuation) {
+            const { prices, pools, asOf } = this.lastValuation;
+            this.revalue(prices, pools, asOf);
+        } else {
+            this.updateTotalValue();
+        }
+    }
+
+    // Entry prices of an LP position are the deposit-value-weighted average of each deposit's snapshot
+    addLPEntry(position, entry) {
+        const value = entry.amount * entry.price;
+        if (!position.lp) {
+            position.lp = { tokens: entry.lp.tokens, entryReserves: entry.lp.reserves, entryPrices: entry.lp.prices };
+            return;
+        }
+
+        const total = position.costBasis + value;
+        if (total <= 0) return;
+        position.lp.entryPrices = position.lp.entryPrices.map((price, i) =>
+            (price * position.costBasis + entry.lp.prices[i] * value) / total);
+    }
+
+    // Marks every position to market: token amounts grow at the pool's current APY from each
+    // ledger entry onwards, and the grown balance is priced with the supplied token prices
+    revalue(prices = {}, pools = [], asOf = new Date()) {
+        this.lastValuation = { prices, pools, asOf };
+        const entries = this.store.getEffectiveEntries()
+            .filter(entry => entry.type === 'deposit' || entry.type === 'withdrawal')
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+        for (const position of this.positions) {
+            const pool = pools.find(p => p.name === position.protocol.name) || position.protocol;
+            const apy = pool.apy || 0;
+            // LP units are priced from the two underlying tokens, which carries impermanent loss into the value
+            const price = position.lp
+                ? position.entryPrice * this.lp.valueRatio(position.lp.entryPrices, this.lp.currentPrices(position.lp, pool, prices))
+                : prices[position.protocol.token] || position.price || position.entryPrice;
+
+            let balance = 0;
+            let principal = 0;
+            let lastTime = null;
+
+            for (const entry of entries) {
+                if (entry.positionId !== position.id) continue;
+
+                const time = new Date(entry.timestamp).getTime();
+                if (lastTime !== null) {
+                    balance *= Math.pow(1 + apy, Math.max(0, time - lastTime) / YEAR_MS);
+                }
+                lastTime = time;
+
+                const sign = entry.type === 'deposit' ? 1 : -1;
+                balance += sign * entry.amount;
+                principal += sign * entry.amount;
+            }
+
+            if (lastTime !== null) {
+                balance *= Math.pow(1 + apy, Math.max(0, asOf.getTime() - lastTime) / YEAR_MS);
+            }
+
+            position.currentAPY = apy;
+            position.price = price;
+            position.accruedInterest = Math.max(0, balance - principal);
+            position.currentValue = (position.amount + position.accruedInterest) * price;
+            position.unrealizedPnL = position.currentValue - position.costBasis;
+            position.lastValuedAt = asOf;
+            if (position.lp) {
+                position.lpAnalysis = this.lp.analyzePosition(position, pool, prices);
+            }
+        }
+
         this.updateTotalValue();
+        return this.positions;
+    }
+
+    getPosition(positionId) {
+        return this.positions.find(pos => pos.id === positionId);
+    }
+
+    requirePosition(positionId) {
+        const position = this.getPosition(positionId);
+        if (!position) {
+            throw new Error(`Position ${positionId} not found`);
+        }
+        return position;
     }
 
     updateTotalValue() {
@@ -43,18 +293,18 @@ class PortfolioManager {
 
     needsRebalancing(targetWeights) {
         const currentWeights = this.calculateWeights();
-        
+
         for (const target of targetWeights) {
             const current = currentWeights.find(w => w.protocol === target.protocol);
             const currentWeight = current ? current.weight : 0;
-            
+
             if (Math.abs(currentWeight - target.weight) > this.rebalanceThreshold) {
                 return true;
             }
         }
-        
+
         return false;
     }
 }
 
-module.exports = PortfolioManager;
\ No newline at end of file
+module.exports = PortfolioManager;
@@ -0,0 +1,25 @@
+// Seeded random numbers for simulations that must repeat exactly (parameter sweeps, Monte Carlo)
+
+// mulberry32: small, fast PRNG returning floats in [0, 1)
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Standard normal draw (Box-Muller) from a uniform source
+function gaussian(rand) {
+    const u = 1 - rand();
+    const v = rand();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+module.exports = {
+    seededRandom,
+    gaussian
+};
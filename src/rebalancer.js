@@ -0,0 +1,189 @@
+const CostModel = require('./costs');
+
+class RebalancePlanner {
+    constructor(config, costModel = new CostModel(config)) {
+        this.config = config;
+        this.costs = costModel;
+    }
+
+    planForStrategy(portfolio, strategies, strategyName, pools, options = {}) {
+        const totalValue = portfolio.totalValue + (options.cash || 0);
+        const target = strategies.optimizeForStrategy(strategyName, pools, totalValue, { market: options.market });
+
+        return {
+            strategy: target.strategy,
+            ...this.plan(portfolio, target.allocations, pools, options)
+        };
+    }
+
+    // Diffs current position values against target allocations ({ protocol, amount }) and returns
+    // withdrawals first, then deposits, dropping any move whose cost outweighs its yield pickup.
+    // options.threshold overrides rebalanceThreshold as the fraction of value a move must exceed, and
+    // options.mustExit(name) picks the pools that are left whatever it costs (by default every pool with no target)
+    plan(portfolio, targetAllocations, pools, options = {}) {
+        const mustExit = options.mustExit || (name => !targets.get(name));
+        const market = options.market || null;
+        const cash = options.cash || 0;
+        const threshold = options.threshold !== undefined ? options.threshold : this.config.get('rebalanceThreshold');
+        const periodYears = this.config.get('holdingPeriodDays') / 365;
+        const totalValue = portfolio.totalValue + cash;
+
+        const findPool = name => pools.find(p => p.name === name) ||
+            (portfolio.positions.find(pos => pos.protocol.name === name) || {}).protocol;
+
+        const current = new Map();
+        for (const position of portfolio.positions) {
+            const entry = current.get(position.protocol.name) || { value: 0, positions: [] };
+            entry.value += position.currentValue;
+            entry.positions.push(position);
+            current.set(position.protocol.name, entry);
+        }
+
+        const targets = new Map(targetAllocations.map(alloc => [alloc.protocol, alloc.amount]));
+        const names = new Set([...current.keys(), ...targets.keys()]);
+
+        const withdrawals = [];
+        const deposits = [];
+        const skipped = [];
+
+        for (const name of names) {
+            const currentValue = current.has(name) ? current.get(name).value : 0;
+            const targetValue = targets.get(name) || 0;
+            const delta = targetValue - currentValue;
+            const pool = findPool(name);
+
+            if (totalValue <= 0 || Math.abs(delta) / totalValue <= threshold) {
+                if (delta !== 0) {
+                    skipped.push({ protocol: name, amount: Math.abs(delta), reason: 'Drift within rebalance threshold' });
+                }
+                continue;
+            }
+
+            const move = {
+                protocol: name,
+                pool,
+                amount: Math.abs(delta),
+                currentWeight: totalValue > 0 ? currentValue / totalValue : 0,
+                targetWeight: totalValue > 0 ? targetValue / totalValue : 0
+            };
+
+            if (delta < 0) {
+                // Leaving a pool the strategy no longer holds at all is not optional
+                const mandatory = mustExit(name);
+                withdrawals.push({ ...move, action: 'withdraw', mandatory, positions: current.get(name).positions });
+            } else {
+                deposits.push({ ...move, action: 'deposit' });
+            }
+        }
+
+        const weightedAPY = moves => {
+            const total = moves.reduce((sum, m) => sum + m.amount, 0);
+            return total > 0 ? moves.reduce((sum, m) => sum + m.amount * (m.pool ? m.pool.apy : 0), 0) / total : 0;
+        };
+
+        // Withdrawn capital is assumed to earn the average APY of the planned deposits, and vice versa
+        const depositAPY = weightedAPY(deposits);
+        const moves = [];
+        let funds = cash;
+
+        for (const move of withdrawals.sort((a, b) => b.amount - a.amount)) {
+            const estimatedCost = this.estimateMoveCost(move, market);
+            const expectedGain = move.amount * (depositAPY - move.pool.apy) * periodYears;
+
+            if (!move.mandatory && estimatedCost > expectedGain) {
+                skipped.push({ protocol: move.protocol, amount: move.amount, reason: 'Cost exceeds expected yield gain', estimatedCost, expectedGain });
+                continue;
+            }
+
+            moves.push(this.describeWithdrawal(move, estimatedCost, expectedGain));
+            funds += move.amount - estimatedCost;
+        }
+
+        // Capital from forced exits would otherwise sit idle, so it counts as earning nothing
+        const sourceAPY = weightedAPY(withdrawals
+            .filter(w => moves.some(m => m.protocol === w.protocol))
+            .map(w => (w.mandatory ? { ...w, pool: { apy: 0 } } : w)));
+
+        for (const move of deposits.sort((a, b) => b.pool.apy - a.pool.apy)) {
+            const amount = Math.min(move.amount, funds);
+            if (amount <= 0) {
+                skipped.push({ protocol: move.protocol, amount: move.amount, reason: 'No funds left to deploy' });
+                continue;
+            }
+
+            const sized = { ...move, amount };
+            const estimatedCost = this.estimateMoveCost(sized, market);
+            const expectedGain = amount * (move.pool.apy - sourceAPY) * periodYears;
+
+            if (estimatedCost > expectedGain) {
+                skipped.push({ protocol: move.protocol, amount, reason: 'Cost exceeds expected yield gain', estimatedCost, expectedGain });
+                continue;
+            }
+
+            moves.push({
+                action: 'deposit',
+                protocol: move.protocol,
+                pool: move.pool,
+                amount: amount - estimatedCost,
+                reason: 'Underweight vs. target',
+                estimatedCost,
+                expectedGain,
+                currentWeight: move.currentWeight,
+                targetWeight: move.targetWeight
+            });
+            funds -= amount;
+        }
+
+        moves.forEach((move, i) => { move.step = i + 1; });
+
+        // Per-move gains each assume the other side of the trade, so the plan total is computed directly
+        const yieldChange = moves.reduce((sum, m) => {
+            const sign = m.action === 'deposit' ? 1 : -1;
+            return sum + sign * m.amount * (m.pool ? m.pool.apy : 0);
+        }, 0);
+
+        return {
+            totalValue,
+            moves,
+            skipped,
+            unallocated: funds,
+            totalCost: moves.reduce((sum, m) => sum + m.estimatedCost, 0),
+            expectedGain: yieldChange * periodYears
+        };
+    }
+
+    estimateMoveCost(move, market) {
+        if (!market || !move.pool) return 0;
+        return this.costs.estimateLegCost(move.pool, move.amount, market, move.action).total;
+    }
+
+    // Splits a withdrawal across the pool's positions, largest first, in token units
+    describeWithdrawal(move, estimatedCost, expectedGain) {
+        let remaining = move.amount;
+        const legs = [];
+
+        for (const position of move.positions.slice().sort((a, b) => b.currentValue - a.currentValue)) {
+            if (remaining <= 0) break;
+
+            const value = Math.min(remaining, position.currentValue);
+            const price = position.currentValue / (position.amount + (position.accruedInterest || 0));
+            legs.push({ positionId: position.id, value, tokenAmount: price > 0 ? value / price : 0 });
+            remaining -= value;
+        }
+
+        return {
+            action: 'withdraw',
+            protocol: move.protocol,
+            pool: move.pool,
+            amount: move.amount,
+            positions: legs,
+            reason: move.mandatory ? 'Pool is not part of the target allocation' : 'Overweight vs. target',
+            estimatedCost,
+            expectedGain,
+            currentWeight: move.currentWeight,
+            targetWeight: move.targetWeight
+        };
+    }
+}
+
+module.exports = RebalancePlanner;
@@ -1,5 +1,15 @@
+const RiskModel = require('./riskmodel');
+const DependencyGraph = require('./dependencies');
+const { ConfigManager } = require('../config/settings');
+
 class RiskAssessment {
-    constructor() {
+    // options.timeSeries supplies price history for volatility and peg deviation for asset risk
+    constructor(config = new ConfigManager(), options = {}) {
+        this.config = config;
+        this.model = new RiskModel(config, { timeSeries: options.timeSeries });
+        this.lp = this.model.lp;
+        this.assets = this.model.assets;
+        this.dependencies = new DependencyGraph(config);
         this.riskMetrics = {
             impermanentLoss: 0,
             smartContractRisk: 0,
@@ -10,72 +20,75 @@ class RiskAssessment {
 
     calculateImpermanentLoss(token0Price, token1Price, initialRatio) {
         const currentRatio = token0Price / token1Price;
-        const priceRatio = currentRatio / initialRatio;
-        
-        const ilPercent = (2 * Math.sqrt(priceRatio)) / (1 + priceRatio) - 1;
-        return Math.abs(ilPercent);
+        return Math.abs(this.lp.impermanentLossAtRatio(currentRatio / initialRatio));
+    }
+
+    // The single-factor scores below are the RiskModel factors on their own; see generateRiskReport for the
+    // combined score
+
+    // Expected impermanent loss of a two-token AMM pool over the holding period; lending pools carry none
+    assessImpermanentLossRisk(protocol) {
+        return this.model.scoreImpermanentLoss(protocol).score;
     }
 
     assessSmartContractRisk(protocol) {
-        let riskScore = 0.5;
-        
-        if (protocol.audited) riskScore -= 0.2;
-        if (protocol.ageInDays > 365) riskScore -= 0.1;
-        if (protocol.tvl > 1000000000) riskScore -= 0.1;
-        
-        return Math.max(0, Math.min(1, riskScore));
+        return this.model.scoreSmartContract(protocol).score;
     }
 
     calculateLiquidityRisk(protocol) {
-        if (protocol.tvl < 1000000) return 0.8;
-        if (protocol.tvl < 10000000) return 0.5;
-        if (protocol.tvl < 100000000) return 0.3;
-        return 0.1;
+        return this.model.scoreLiquidity(protocol).score;
+    }
+
+    // Bridge and sequencer risk of the chain a pool lives on; mainnet carries none
+    assessChainRisk(protocol) {
+        return this.model.scoreChain(protocol).score;
+    }
+
+    // Risk of the pool's underlying tokens (backing, issuer, peg history)
+    assessAssetRisk(protocol) {
+        return this.assets.assessPool(protocol);
     }
 
     calculateVolatilityRisk(priceHistory) {
-        if (!priceHistory || priceHistory.length < 2) return 0.5;
-        
-        const returns = [];
-        for (let i = 1; i < priceHistory.length; i++) {
-            const returnRate = (priceHistory[i] - priceHistory[i-1]) / priceHistory[i-1];
-            returns.push(returnRate);
-        }
-        
-        const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
-        const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / returns.length;
-        const volatility = Math.sqrt(variance);
-        
-        return Math.min(1, volatility * 10);
+        return this.model.scoreVolatility({}, priceHistory || []).score;
     }
 
+    // Without a priceHistory, volatility is measured from the prices recorded in the time series
     generateRiskReport(protocol, priceHistory = null) {
-        const risks = {
-            smartContract: this.assessSmartContractRisk(protocol),
-            liquidity: this.calculateLiquidityRisk(protocol),
-            volatility: this.calculateVolatilityRisk(priceHistory)
-        };
-        
-        const overallRisk = (risks.smartContract + risks.liquidity + risks.volatility) / 3;
+        const assessment = this.model.assess(protocol, { priceHistory });
+        const risks = {};
+        for (const [name, factor] of Object.entries(assessment.factors)) {
+            risks[name] = factor.score;
+        }
         
         return {
             protocol: protocol.name,
             risks,
-            overallRisk,
-            riskLevel: this.getRiskLevel(overallRisk),
-            recommendation: this.getRecommendation(overallRisk)
+            factors: assessment.factors,
+            reasons: assessment.reasons,
+            assetRisk: assessment.factors.asset.details,
+            overallRisk: assessment.score,
+            riskLevel: assessment.level,
+            recommendation: this.getRecommendation(assessment.score)
         };
     }
 
+    // Look-through exposure of portfolio positions by protocol, asset and oracle, with cap breaches
+    assessPortfolioExposure(positions) {
+        return this.dependencies.lookThrough(positions.map(position => ({
+            pool: position.protocol,
+            amount: position.currentValue
+        })));
+    }
+
     getRiskLevel(score) {
-        if (score < 0.3) return 'Low';
-        if (score < 0.6) return 'Medium';
-        return 'High';
+        return this.model.getLevel(score);
     }
 
     getRecommendation(score) {
-        if (score < 0.3) return 'Safe for conservative investors';
-        if (score < 0.6) return 'Suitable for moderate risk tolerance';
+        const level = this.getRiskLevel(score);
+        if (level === 'Low') return 'Safe for conservative investors';
+        if (level === 'Medium') return 'Suitable for moderate risk tolerance';
         return 'Only for high-risk investors';
     }
 }
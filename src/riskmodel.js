@@ -0,0 +1,181 @@
+const LPAnalytics = require('./lp');
+const AssetRiskModel = require('./assets');
+const { defaultSettings } = require('../config/settings');
+
+// The single pool risk score behind risk reports, strategy allocation, backtests, the optimizer and the
+// stress simulation. Averaged factors are combined as a weighted average; penalty factors are added on
+// top of it, scaled by their weight. Weights and thresholds come from the riskModel setting
+const AVERAGED_FACTORS = ['smartContract', 'liquidity', 'volatility', 'asset'];
+const PENALTY_FACTORS = ['chain', 'impermanentLoss'];
+const FACTORS = [...AVERAGED_FACTORS, ...PENALTY_FACTORS];
+
+const percent = value => `${(value * 100).toFixed(1)}%`;
+const usd = value => `$${Math.round(value).toLocaleString()}`;
+
+class RiskModel {
+    // options.timeSeries supplies price history for volatility and peg deviation for asset risk
+    constructor(config, options = {}) {
+        this.config = config;
+        this.timeSeries = options.timeSeries || null;
+        this.lp = new LPAnalytics(config);
+        this.assets = new AssetRiskModel(config, { timeSeries: this.timeSeries });
+    }
+
+    // Each section of the riskModel setting falls back to the defaults key by key, so a config only
+    // needs to name what it changes
+    getSettings() {
+        const defaults = defaultSettings.riskModel;
+        const configured = this.config.get('riskModel') || {};
+        const settings = {};
+        for (const section of Object.keys(defaults)) {
+            settings[section] = Array.isArray(defaults[section])
+                ? configured[section] || defaults[section]
+                : { ...defaults[section], ...(configured[section] || {}) };
+        }
+        return settings;
+    }
+
+    scoreSmartContract(pool, settings = this.getSettings().smartContract) {
+        let score = settings.base;
+        const reasons = [];
+
+        if (pool.audited) {
+            score -= settings.auditCredit;
+            reasons.push(`audited (-${percent(settings.auditCredit)})`);
+        } else {
+            reasons.push('not audited');
+        }
+
+        if (pool.ageInDays > settings.matureDays) {
+            score -= settings.matureCredit;
+            reasons.push(`live ${pool.ageInDays} days, over ${settings.matureDays} (-${percent(settings.matureCredit)})`);
+        } else if (pool.ageInDays < settings.newDays) {
+            score += settings.newPenalty;
+            reasons.push(`live only ${pool.ageInDays} days, under ${settings.newDays} (+${percent(settings.newPenalty)})`);
+        }
+
+        if (pool.tvl > settings.largeTvl) {
+            score -= settings.largeTvlCredit;
+            reasons.push(`TVL over ${usd(settings.largeTvl)} (-${percent(settings.largeTvlCredit)})`);
+        }
+
+        return { score: Math.max(0, Math.min(1, score)), reasons };
+    }
+
+    // Tiers are [maxTvl, score] pairs in ascending order; deeper pools score deepScore. Unknown TVL scores
+    // as the shallowest tier
+    scoreLiquidity(pool, settings = this.getSettings().liquidity) {
+        if (!Number.isFinite(pool.tvl) && settings.tiers.length > 0) {
+            return { score: settings.tiers[0][1], reasons: ['TVL unknown'] };
+        }
+
+        const tier = settings.tiers.find(([maxTvl]) => pool.tvl < maxTvl);
+        if (tier) {
+            return { score: tier[1], reasons: [`TVL ${usd(pool.tvl)} under ${usd(tier[0])}`] };
+        }
+
+        const deepest = settings.tiers.length > 0 ? settings.tiers[settings.tiers.length - 1][0] : 0;
+        return { score: settings.deepScore, reasons: [`TVL ${usd(pool.tvl)} at or over ${usd(deepest)}`] };
+    }
+
+    // Standard deviation of price returns times `scale`. Without a supplied history the recorded prices up
+    // to the pool's recordedAt are used, so backtests only see the past
+    scoreVolatility(pool, priceHistory = null, settings = this.getSettings().volatility) {
+        const prices = priceHistory ||
+            (this.timeSeries ? this.timeSeries.getPriceHistory(pool.name, null, pool.recordedAt || null) : []);
+
+        if (prices.length < 2) {
+            return { score: settings.missingScore, reasons: [`no price history, assumed ${percent(settings.missingScore)}`] };
+        }
+
+        const returns = [];
+        for (let i = 1; i < prices.length; i++) {
+            returns.push((prices[i] - prices[i - 1]) / prices[i - 1]);
+        }
+
+        const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+        const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / returns.length;
+        const volatility = Math.sqrt(variance);
+
+        return {
+            score: Math.min(1, volatility * settings.scale),
+            reasons: [`${percent(volatility)} standard deviation of returns over ${prices.length} prices`]
+        };
+    }
+
+    scoreAsset(pool) {
+        const assessment = this.assets.assessPool(pool);
+        return { score: assessment.score, reasons: [assessment.explanation], details: assessment };
+    }
+
+    // Bridge and sequencer risk of the chain a pool lives on
+    scoreChain(pool) {
+        const chain = this.config.getChain(pool.chainId || 1);
+        const reasons = chain.riskPremium > 0 ? [`${chain.label} premium`] : [`${chain.label}, no chain premium`];
+        return { score: chain.riskPremium, reasons };
+    }
+
+    scoreImpermanentLoss(pool) {
+        if (!this.lp.isLPPool(pool)) {
+            return { score: 0, reasons: ['not an AMM pool'] };
+        }
+
+        const days = this.config.get('holdingPeriodDays');
+        const exposure = this.lp.estimateExposure(pool, days);
+        return {
+            score: this.lp.assessRisk(pool),
+            reasons: [`~${(exposure * 100).toFixed(2)}% IL on a 1σ move over ${days} days`]
+        };
+    }
+
+    // Per-factor breakdown and overall score. options.weights overrides riskModel.weights (custom strategies'
+    // scoringWeights); options.priceHistory replaces the recorded history for volatility
+    assess(pool, options = {}) {
+        const settings = this.getSettings();
+        const weights = { ...settings.weights, ...(options.weights || {}) };
+        const scored = {
+            smartContract: this.scoreSmartContract(pool, settings.smartContract),
+            liquidity: this.scoreLiquidity(pool, settings.liquidity),
+            volatility: this.scoreVolatility(pool, options.priceHistory || null, settings.volatility),
+            asset: this.scoreAsset(pool),
+            chain: this.scoreChain(pool),
+            impermanentLoss: this.scoreImpermanentLoss(pool)
+        };
+
+        const factors = {};
+        for (const name of FACTORS) {
+            factors[name] = { ...scored[name], weight: weights[name] };
+        }
+
+        const totalWeight = AVERAGED_FACTORS.reduce((sum, name) => sum + weights[name], 0);
+        const average = totalWeight > 0
+            ? AVERAGED_FACTORS.reduce((sum, name) => sum + factors[name].score * weights[name], 0) / totalWeight
+            : 0;
+        const penalty = PENALTY_FACTORS.reduce((sum, name) => sum + factors[name].score * weights[name], 0);
+        const score = Math.min(1, average + penalty);
+
+        return {
+            pool: pool.name,
+            score,
+            level: this.getLevel(score, settings.levels),
+            factors,
+            reasons: FACTORS
+                .filter(name => factors[name].weight > 0 && factors[name].score > 0)
+                .map(name => `${name} ${percent(factors[name].score)}: ${factors[name].reasons.join('; ')}`)
+        };
+    }
+
+    score(pool, options = {}) {
+        return this.assess(pool, options).score;
+    }
+
+    getLevel(score, levels = this.getSettings().levels) {
+        if (score < levels.low) return 'Low';
+        if (score < levels.medium) return 'Medium';
+        return 'High';
+    }
+}
+
+RiskModel.FACTORS = FACTORS;
+
+module.exports = RiskModel;
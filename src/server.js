@@ -0,0 +1,395 @@
+require('dotenv').config();
+const http = require('http');
+const YieldOptimizer = require('./optimizer');
+const ProtocolDataFetcher = require('./fetcher');
+const PortfolioManager = require('./portfolio');
+const PortfolioStore = require('./store');
+const RiskAssessment = require('./risk');
+const YieldFarmingStrategies = require('./strategies');
+const PerformanceAnalytics = require('./analytics');
+const PositionValuator = require('./valuation');
+const TimeSeriesStore = require('./timeseries');
+const { ConfigManager } = require('../config/settings');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+class ApiServer {
+    constructor(config = new ConfigManager(), options = {}) {
+        this.config = config;
+        this.timeSeries = options.timeSeries || new TimeSeriesStore(config.get('timeSeriesStorePath'));
+        this.optimizer = options.optimizer || new YieldOptimizer(config, { timeSeries: this.timeSeries });
+        this.fetcher = options.fetcher || new ProtocolDataFetcher(config, {
+            fixtureDir: process.env.FIXTURE_DIR,
+            timeSeries: this.timeSeries
+        });
+        this.portfolio = options.portfolio ||
+            new PortfolioManager(new PortfolioStore(config.get('portfolioStorePath')));
+        this.riskAssessment = options.riskAssessment || new RiskAssessment(config, { timeSeries: this.timeSeries });
+        this.strategies = options.strategies || new YieldFarmingStrategies(config, { timeSeries: this.timeSeries });
+        this.analytics = options.analytics || new PerformanceAnalytics();
+        this.valuator = options.valuator || new PositionValuator(this.portfolio, {
+            api: this.fetcher.api,
+            analytics: this.analytics,
+            getPools: () => this.optimizer.protocols
+        });
+        this.market = null;
+        this.server = null;
+
+        // [method, path pattern, handler]; named groups become route params
+        this.routes = [
+            ['GET', /^\/health$/, this.getHealth],
+            ['GET', /^\/pools$/, this.listPools],
+            ['POST', /^\/pools\/refresh$/, this.refreshPools],
+            ['GET', /^\/strategies$/, this.listStrategies],
+            ['POST', /^\/optimize$/, this.optimize],
+            ['GET', /^\/portfolio$/, this.getPortfolio],
+            ['POST', /^\/portfolio\/positions$/, this.openPosition],
+            ['POST', /^\/portfolio\/positions\/(?<id>[^/]+)\/(?<action>deposits|withdrawals|harvests|fees)$/, this.recordEntry],
+            ['DELETE', /^\/portfolio\/positions\/(?<id>[^/]+)$/, this.removePosition],
+            ['GET', /^\/portfolio\/ledger$/, this.getLedger],
+            ['PATCH', /^\/portfolio\/ledger\/(?<id>[^/]+)$/, this.editEntry],
+            ['DELETE', /^\/portfolio\/ledger\/(?<id>[^/]+)$/, this.removeEntry],
+            ['POST', /^\/portfolio\/revalue$/, this.revaluePortfolio],
+            ['GET', /^\/risk$/, this.getRisk],
+            ['GET', /^\/risk\/(?<pool>[^/]+)$/, this.getPoolRisk],
+            ['GET', /^\/analytics\/report$/, this.getAnalyticsReport],
+            ['GET', /^\/history$/, this.getHistorySummary],
+            ['GET', /^\/history\/(?<pool>[^/]+)$/, this.getPoolHistory]
+        ];
+    }
+
+    start(port = this.config.get('apiPort'), host = this.config.get('apiHost')) {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                const address = this.server.address();
+                console.log(`API server listening on http://${address.address}:${address.port}`);
+                resolve(address);
+            });
+        });
+    }
+
+    stop() {
+        if (!this.server) return Promise.resolve();
+
+        return new Promise(resolve => {
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        try {
+            const match = this.matchRoute(req.method, url.pathname);
+            const body = ['POST', 'PATCH'].includes(req.method) ? await this.readBody(req) : {};
+            const result = await match.handler.call(this, {
+                params: match.params,
+                query: Object.fromEntries(url.searchParams),
+                body
+            });
+
+            this.send(res, result.status || 200, result.body);
+        } catch (error) {
+            const statusCode = error.statusCode || 500;
+            if (statusCode === 500) {
+                console.error(`${req.method} ${url.pathname} failed:`, error.message);
+            }
+            this.send(res, statusCode, { error: error.message });
+        }
+    }
+
+    matchRoute(method, pathname) {
+        let pathMatched = false;
+
+        for (const [routeMethod, pattern, handler] of this.routes) {
+            const match = pattern.exec(pathname);
+            if (!match) continue;
+
+            pathMatched = true;
+            if (routeMethod === method) {
+                const params = {};
+                for (const [key, value] of Object.entries(match.groups || {})) {
+                    try {
+                        params[key] = decodeURIComponent(value);
+                    } catch (error) {
+                        throw httpError(400, `Malformed ${key} in ${pathname}`);
+                    }
+                }
+                return { handler, params };
+            }
+        }
+
+        throw pathMatched
+            ? httpError(405, `${method} is not supported on ${pathname}`)
+            : httpError(404, `No route for ${pathname}`);
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let data = '';
+            let tooLarge = false;
+
+            req.on('data', chunk => {
+                if (tooLarge) return;
+                data += chunk;
+                if (data.length > MAX_BODY_BYTES) {
+                    // The rest of the body is read and dropped; destroying the request here would reset the
+                    // connection before the 413 goes out
+                    tooLarge = true;
+                    data = '';
+                    reject(httpError(413, 'Request body too large'));
+                }
+            });
+
+            req.on('end', () => {
+                if (tooLarge) return;
+                if (!data) return resolve({});
+                try {
+                    resolve(JSON.parse(data));
+                } catch (error) {
+                    reject(httpError(400, `Invalid JSON body: ${error.message}`));
+                }
+            });
+
+            req.on('error', reject);
+        });
+    }
+
+    send(res, statusCode, body) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(body === undefined ? '' : JSON.stringify(body));
+    }
+
+    // Pools are fetched on first use and kept until a refresh
+    async loadPools(refresh = false) {
+        if (refresh || this.optimizer.protocols.length === 0) {
+            const pools = await this.fetcher.fetchAllProtocolData();
+            this.optimizer.protocols = [];
+            for (const pool of pools) {
+                await this.optimizer.addProtocol(pool);
+            }
+            this.market = await this.optimizer.costs.loadMarketConditions(this.fetcher.api);
+            if (!this.fetcher.fixtureDir) {
+                this.timeSeries.recordMarket(this.market);
+            }
+        }
+
+        return this.optimizer.protocols;
+    }
+
+    async findPool(name) {
+        const pools = await this.loadPools();
+        const pool = pools.find(p => p.name.toLowerCase() === String(name).toLowerCase());
+        if (!pool) {
+            throw httpError(404, `Pool "${name}" not found`);
+        }
+        return pool;
+    }
+
+    // options.positive rejects zero and negative values, for amounts and prices
+    requireNumber(body, field, options = {}) {
+        const value = Number(body[field]);
+        if (body[field] === undefined || !Number.isFinite(value)) {
+            throw httpError(400, `${field} must be a number`);
+        }
+        if (options.positive && value <= 0) {
+            throw httpError(400, `${field} must be greater than 0`);
+        }
+        return value;
+    }
+
+    // Portfolio and ledger methods throw plain Errors for bad ids and amounts; those are client errors
+    asClientError(fn) {
+        try {
+            return fn();
+        } catch (error) {
+            if (error.statusCode) throw error;
+            throw httpError(error.message.includes('not found') ? 404 : 400, error.message);
+        }
+    }
+
+    async getHealth() {
+        return {
+            body: {
+                status: 'ok',
+                pools: this.optimizer.protocols.length,
+                positions: this.portfolio.positions.length,
+                marketLoaded: Boolean(this.market)
+            }
+        };
+    }
+
+    async listPools({ query }) {
+        let pools = await this.loadPools(query.refresh === 'true');
+
+        if (query.protocol) pools = pools.filter(p => p.protocolId === query.protocol);
+        if (query.chainId) pools = pools.filter(p => (p.chainId || 1) === Number(query.chainId));
+
+        return { body: { pools, market: this.market } };
+    }
+
+    async refreshPools() {
+        const pools = await this.loadPools(true);
+        return { body: { pools: pools.length, market: this.market } };
+    }
+
+    async listStrategies() {
+        const strategies = Array.from(this.strategies.strategies.entries())
+            .map(([id, strategy]) => ({ id, ...strategy }));
+        return { body: { strategies } };
+    }
+
+    async optimize({ body }) {
+        if (!body.strategy) {
+            throw httpError(400, 'strategy is required');
+        }
+        if (!this.strategies.getStrategy(body.strategy)) {
+            throw httpError(404, `Strategy ${body.strategy} not found`);
+        }
+
+        const amount = this.requireNumber(body, 'amount', { positive: true });
+        const pools = await this.loadPools();
+        const allocation = this.asClientError(() => this.strategies.optimizeForStrategy(body.strategy, pools, amount, {
+            mode: body.mode,
+            allowedChains: body.allowedChains,
+            market: body.net === false ? null : this.market
+        }));
+
+        return { body: allocation };
+    }
+
+    async getPortfolio() {
+        return {
+            body: {
+                totalValue: this.portfolio.totalValue,
+                positions: this.portfolio.positions,
+                weights: this.portfolio.positions.length > 0 ? this.portfolio.calculateWeights() : []
+            }
+        };
+    }
+
+    async openPosition({ body }) {
+        const pool = await this.findPool(body.pool);
+        const amount = this.requireNumber(body, 'amount', { positive: true });
+        const price = this.requireNumber(body, 'price', { positive: true });
+
+        const position = this.asClientError(() => this.portfolio.addPosition(pool, amount, price));
+        return { status: 201, body: position };
+    }
+
+    async recordEntry({ params, body }) {
+        const position = this.asClientError(() => {
+            if (params.action === 'deposits' || params.action === 'withdrawals') {
+                const amount = this.requireNumber(body, 'amount', { positive: true });
+                const price = this.requireNumber(body, 'price', { positive: true });
+                return params.action === 'deposits'
+                    ? this.portfolio.deposit(params.id, amount, price)
+                    : this.portfolio.withdraw(params.id, amount, price);
+            }
+
+            const value = this.requireNumber(body, 'value', { positive: true });
+            return params.action === 'harvests'
+                ? this.portfolio.recordHarvest(params.id, value, body.note || '')
+                : this.portfolio.recordFee(params.id, value, body.note || '');
+        });
+
+        // A full withdrawal closes the position
+        return { status: 201, body: position || { id: params.id, closed: true } };
+    }
+
+    async removePosition({ params }) {
+        this.asClientError(() => this.portfolio.requirePosition(params.id));
+        this.portfolio.removePosition(params.id);
+        return { status: 204 };
+    }
+
+    async getLedger() {
+        return { body: { ledger: this.portfolio.getLedger() } };
+    }
+
+    async editEntry({ params, body }) {
+        const changes = body.changes || body;
+        const amendment = this.asClientError(() => this.portfolio.editEntry(params.id, changes));
+        return { body: amendment };
+    }
+
+    async removeEntry({ params, query }) {
+        const voidEntry = this.asClientError(() => this.portfolio.removeEntry(params.id, query.note || ''));
+        return { body: voidEntry };
+    }
+
+    async revaluePortfolio({ body }) {
+        await this.loadPools();
+        await this.valuator.revalue(body.prices || null);
+        return this.getPortfolio();
+    }
+
+    async getRisk() {
+        const pools = await this.loadPools();
+        const reports = pools.map(pool => this.riskAssessment.generateRiskReport(pool));
+        const exposure = this.riskAssessment.assessPortfolioExposure(this.portfolio.positions);
+        return { body: { reports, exposure } };
+    }
+
+    async getPoolRisk({ params }) {
+        const pool = await this.findPool(params.pool);
+        return { body: this.riskAssessment.generateRiskReport(pool) };
+    }
+
+    async getHistorySummary() {
+        return {
+            body: {
+                points: this.timeSeries.points.length,
+                range: this.timeSeries.getRange(),
+                pools: this.timeSeries.getPools()
+            }
+        };
+    }
+
+    // ?start= and ?end= accept ISO dates or epoch milliseconds
+    async getPoolHistory({ params, query }) {
+        const parseTime = value => (value === undefined ? null : (/^\d+$/.test(value) ? Number(value) : value));
+        const points = this.timeSeries.query({
+            pool: params.pool,
+            start: parseTime(query.start),
+            end: parseTime(query.end)
+        });
+
+        if (points.length === 0 && !this.timeSeries.getPools().includes(params.pool)) {
+            throw httpError(404, `No history recorded for "${params.pool}"`);
+        }
+
+        return { body: { pool: params.pool, points } };
+    }
+
+    async getAnalyticsReport() {
+        return {
+            body: {
+                dataPoints: this.analytics.historicalData.length,
+                ...this.analytics.generateReport()
+            }
+        };
+    }
+}
+
+module.exports = ApiServer;
+
+// Run the server if this file is executed directly
+if (require.main === module) {
+    const server = new ApiServer();
+    const port = process.argv[2] ? parseInt(process.argv[2]) : undefined;
+    server.start(port).catch(error => {
+        console.error('Failed to start API server:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ENTRY_TYPES = ['deposit', 'withdrawal', 'harvest', 'fee', 'amend', 'void'];
+const AMENDABLE_FIELDS = ['amount', 'price', 'value', 'note', 'timestamp'];
+// Quantities each entry type carries. The ledger is append-only, so a bad one would skew every replay after it
+const QUANTITY_FIELDS = {
+    deposit: ['amount', 'price'],
+    withdrawal: ['amount', 'price'],
+    harvest: ['value'],
+    fee: ['value']
+};
+
+function requireQuantity(field, value) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+        throw new Error(`Ledger ${field} must be a finite number above 0 (got ${value})`);
+    }
+}
+
+class PortfolioStore {
+    constructor(filePath = null) {
+        // Without a file path the ledger lives in memory only
+        this.filePath = filePath;
+        this.entries = [];
+        this.load();
+    }
+
+    load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        if (!Array.isArray(data.ledger)) {
+            throw new Error(`Portfolio store ${this.filePath} has no ledger`);
+        }
+
+        this.entries = data.ledger;
+    }
+
+    save() {
+        if (!this.filePath) return;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        // Write to a temp file first so a crash mid-write never truncates the ledger
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ version: 1, ledger: this.entries }, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    append(entry) {
+        if (!ENTRY_TYPES.includes(entry.type)) {
+            throw new Error(`Unknown ledger entry type ${entry.type}`);
+        }
+        for (const field of QUANTITY_FIELDS[entry.type] || []) {
+            requireQuantity(field, entry[field]);
+        }
+
+        const record = {
+            id: crypto.randomUUID(),
+            timestamp: new Date().toISOString(),
+            ...entry
+        };
+
+        this.entries.push(record);
+        this.save();
+        return record;
+    }
+
+    amend(entryId, changes) {
+        this.getEntry(entryId);
+
+        for (const field of Object.keys(changes)) {
+            if (!AMENDABLE_FIELDS.includes(field)) {
+                throw new Error(`Field ${field} cannot be edited. Editable fields: ${AMENDABLE_FIELDS.join(', ')}`);
+            }
+            if (['amount', 'price', 'value'].includes(field)) {
+                requireQuantity(field, changes[field]);
+            }
+        }
+
+        return this.append({ type: 'amend', ref: entryId, changes });
+    }
+
+    void(entryId, note = '') {
+        this.getEntry(entryId);
+        return this.append({ type: 'void', ref: entryId, note });
+    }
+
+    getEntry(entryId) {
+        const entry = this.getEffectiveEntries().find(e => e.id === entryId);
+        if (!entry) {
+            throw new Error(`Ledger entry ${entryId} not found`);
+        }
+        return entry;
+    }
+
+    getRawEntries() {
+        return this.entries.slice();
+    }
+
+    // Applies amendments and voids, leaving the deposits, withdrawals, harvests and fees that count
+    getEffectiveEntries() {
+        const voided = new Set();
+        const amendments = new Map();
+
+        for (const entry of this.entries) {
+            if (entry.type === 'void') {
+                voided.add(entry.ref);
+            } else if (entry.type === 'amend') {
+                amendments.set(entry.ref, { ...(amendments.get(entry.ref) || {}), ...entry.changes });
+            }
+        }
+
+        return this.entries
+            .filter(entry => entry.type !== 'void' && entry.type !== 'amend' && !voided.has(entry.id))
+            .map(entry => ({ ...entry, ...(amendments.get(entry.id) || {}) }));
+    }
+}
+
+module.exports = PortfolioStore;
@@ -1,8 +1,26 @@
+const AllocationEngine = require('./allocator');
+const CostModel = require('./costs');
+const RiskModel = require('./riskmodel');
+const DependencyGraph = require('./dependencies');
+const { validateStrategy, loadStrategyFile } = require('./strategyloader');
+
+const ALLOCATION_MODES = ['mean-variance', 'greedy'];
+
 class YieldFarmingStrategies {
-    constructor(configManager) {
+    // options.timeSeries supplies price history for volatility and peg deviation for asset risk
+    constructor(configManager, options = {}) {
         this.config = configManager;
+        this.allocator = new AllocationEngine();
+        this.costs = new CostModel(configManager);
+        this.riskModel = new RiskModel(configManager, { timeSeries: options.timeSeries });
+        this.dependencies = new DependencyGraph(configManager);
         this.strategies = new Map();
         this.initializeStrategies();
+        this.builtIn = new Set(this.strategies.keys());
+
+        for (const filePath of configManager.get('strategyFiles') || []) {
+            this.loadStrategyFile(filePath);
+        }
     }
 
     initializeStrategies() {
@@ -13,7 +31,11 @@ class YieldFarmingStrategies {
             minAPY: 0.02,
             maxSingleAllocation: 0.25,
             preferredProtocols: ['compound', 'aave'],
-            rebalanceFrequency: 'weekly'
+            rebalanceFrequency: 'weekly',
+            riskAversion: 8,
+            allowedChains: [1, 10, 42161],
+            // Backtest decision rule; see src/decisions.js
+            decision: { rule: 'periodic-rebalance' }
         });
 
         this.strategies.set('moderate', {
@@ -23,7 +45,9 @@ class YieldFarmingStrategies {
             minAPY: 0.05,
             maxSingleAllocation: 0.4,
             preferredProtocols: ['compound', 'aave', 'curve', 'yearn'],
-            rebalanceFrequency: 'daily'
+            rebalanceFrequency: 'daily',
+            riskAversion: 4,
+            decision: { rule: 'threshold-rebalance' }
         });
 
         this.strategies.set('aggressive', {
@@ -33,7 +57,9 @@ class YieldFarmingStrategies {
             minAPY: 0.1,
             maxSingleAllocation: 0.6,
             preferredProtocols: ['yearn', 'curve', 'uniswap-v2'],
-            rebalanceFrequency: 'hourly'
+            rebalanceFrequency: 'hourly',
+            riskAversion: 1,
+            decision: { rule: 'yield-chasing', options: { hysteresis: 0.01 } }
         });
     }
 
@@ -45,73 +71,210 @@ class YieldFarmingStrategies {
         return Array.from(this.strategies.values());
     }
 
-    optimizeForStrategy(strategyName, availableProtocols, amount) {
+    // Validates a custom strategy and makes it available under `id` wherever a built-in name is accepted.
+    // Built-in strategies cannot be replaced; registering a custom id again replaces it
+    registerStrategy(id, definition, source = null) {
+        if (this.builtIn.has(id)) {
+            throw new Error(`Strategy "${id}" is built in; choose another id`);
+        }
+
+        const strategy = validateStrategy(id, definition, this.config, source);
+        this.strategies.set(id, strategy);
+        return strategy;
+    }
+
+    // Registers every strategy in a JSON or YAML file and returns their ids. A file with any invalid
+    // strategy registers none of them
+    loadStrategyFile(filePath) {
+        const loaded = loadStrategyFile(filePath, this.config);
+        for (const { id } of loaded) {
+            if (this.builtIn.has(id)) {
+                throw new Error(`Strategy "${id}" in ${filePath} is built in; choose another id`);
+            }
+        }
+
+        for (const { id, strategy } of loaded) {
+            this.strategies.set(id, strategy);
+        }
+        return loaded.map(({ id }) => id);
+    }
+
+    // Whether the strategy may hold a pool at all: APY floor, protocols, chains and, when the strategy
+    // lists allowedAssets, every look-through token of the pool
+    isEligible(protocol, strategy, allowedChains = strategy.allowedChains || null) {
+        if (protocol.apy < strategy.minAPY) return false;
+        if (!strategy.preferredProtocols.includes(this.getProtocolId(protocol))) return false;
+        if (allowedChains && !allowedChains.includes(protocol.chainId || 1)) return false;
+        if (!strategy.allowedAssets) return true;
+
+        const allowedAssets = strategy.allowedAssets.map(asset => asset.toUpperCase());
+        const assets = Object.keys(this.dependencies.poolExposures(protocol))
+            .filter(key => key.startsWith('asset:'))
+            .map(key => key.slice('asset:'.length).toUpperCase());
+        return assets.length > 0 && assets.every(asset => allowedAssets.includes(asset));
+    }
+
+    optimizeForStrategy(strategyName, availableProtocols, amount, options = {}) {
         const strategy = this.getStrategy(strategyName);
         if (!strategy) {
             throw new Error(`Strategy ${strategyName} not found`);
         }
 
-        const suitableProtocols = availableProtocols.filter(protocol => {
-            return protocol.apy >= strategy.minAPY && 
-                   strategy.preferredProtocols.includes(protocol.protocol.toLowerCase());
-        });
+        const mode = options.mode || this.config.get('allocationMode');
+        if (!ALLOCATION_MODES.includes(mode)) {
+            throw new Error(`Unknown allocation mode ${mode}. Use one of: ${ALLOCATION_MODES.join(', ')}`);
+        }
 
-        if (suitableProtocols.length === 0) {
-            return { allocations: [], totalYield: 0, risk: 0 };
+        // Strategies without allowedChains may use every chain the fetcher returned
+        const allowedChains = options.allowedChains || strategy.allowedChains || null;
+
+        let suitableProtocols = availableProtocols.filter(protocol => this.isEligible(protocol, strategy, allowedChains));
+
+        // With market conditions, pools compete on APY net of entry/exit costs at their largest possible ticket
+        const market = options.market || null;
+        if (market) {
+            suitableProtocols = suitableProtocols
+                .map(protocol => ({
+                    ...protocol,
+                    grossAPY: protocol.apy,
+                    apy: this.costs.calculateNetAPY(protocol, amount * strategy.maxSingleAllocation, market)
+                }))
+                .filter(protocol => protocol.apy > 0);
         }
 
-        const sortedProtocols = suitableProtocols.sort((a, b) => {
-            const aRiskAdjustedReturn = a.apy * (1 - this.calculateRisk(a, strategy));
-            const bRiskAdjustedReturn = b.apy * (1 - this.calculateRisk(b, strategy));
-            return bRiskAdjustedReturn - aRiskAdjustedReturn;
-        });
+        for (;;) {
+            const allocation = this.allocate(mode, suitableProtocols, strategy, amount, options.covariance, market);
 
-        return this.createAllocation(sortedProtocols, strategy, amount);
+            // Fixed gas costs can push a smaller-than-estimated ticket under water; drop those pools and retry
+            const losing = allocation.allocations.filter(alloc => alloc.netAPY <= 0).map(alloc => alloc.protocol);
+            if (!market || losing.length === 0) {
+                return allocation;
+            }
+
+            suitableProtocols = suitableProtocols.filter(protocol => !losing.includes(protocol.name));
+        }
     }
 
-    calculateRisk(protocol, strategy) {
-        let risk = 0.5;
-        
-        if (!protocol.audited) risk += 0.2;
-        if (protocol.ageInDays < 90) risk += 0.3;
-        if (protocol.tvl < 10000000) risk += 0.2;
-        
-        return Math.min(1, risk);
+    allocate(mode, protocols, strategy, amount, covariance, market) {
+        if (mode === 'greedy') {
+            const sortedProtocols = protocols.slice().sort((a, b) => {
+                const aRiskAdjustedReturn = a.apy * (1 - this.calculateRisk(a, strategy));
+                const bRiskAdjustedReturn = b.apy * (1 - this.calculateRisk(b, strategy));
+                return bRiskAdjustedReturn - aRiskAdjustedReturn;
+            });
+
+            return this.createAllocation(sortedProtocols, strategy, amount, market);
+        }
+
+        return this.createOptimizedAllocation(protocols, strategy, amount, covariance, market);
     }
 
-    createAllocation(protocols, strategy, totalAmount) {
-        const allocations = [];
+    getProtocolId(protocol) {
+        return protocol.protocolId || protocol.protocol.toLowerCase();
+    }
+
+    // The shared RiskModel score; custom strategies may reweight its factors with scoringWeights
+    calculateRisk(protocol, strategy = null) {
+        return this.riskModel.score(protocol, { weights: strategy ? strategy.scoringWeights : null });
+    }
+
+    createAllocation(protocols, strategy, totalAmount, market = null) {
+        const picks = [];
+        const used = {};
         let remainingAmount = totalAmount;
-        let totalYield = 0;
-        let totalRisk = 0;
 
-        const maxProtocols = Math.min(protocols.length, 5);
-        
-        for (let i = 0; i < maxProtocols && remainingAmount > 0; i++) {
-            const protocol = protocols[i];
+        for (let i = 0; i < protocols.length && picks.length < 5 && remainingAmount > 0; i++) {
             const maxAllocation = totalAmount * strategy.maxSingleAllocation;
-            const allocation = Math.min(remainingAmount, maxAllocation);
+            const exposures = this.dependencies.poolExposures(protocols[i]);
+
+            // Stay within the look-through protocol and asset caps left after earlier picks
+            let allocation = Math.min(remainingAmount, maxAllocation);
+            for (const [key, fraction] of Object.entries(exposures)) {
+                const cap = this.dependencies.getCap(key, strategy);
+                if (cap !== null) {
+                    allocation = Math.min(allocation, Math.max(0, cap * totalAmount - (used[key] || 0)) / fraction);
+                }
+            }
+            if (allocation <= 0) continue;
             
+            picks.push({ pool: protocols[i], amount: allocation });
+            for (const [key, fraction] of Object.entries(exposures)) {
+                used[key] = (used[key] || 0) + allocation * fraction;
+            }
+            remainingAmount -= allocation;
+        }
+
+        return this.summarizeAllocation(picks, strategy, totalAmount, 'greedy', market);
+    }
+
+    createOptimizedAllocation(protocols, strategy, totalAmount, covariance = null, market = null) {
+        const weights = this.allocator.optimize(protocols, totalAmount, {
+            riskOf: protocol => this.calculateRisk(protocol, strategy),
+            riskBudget: strategy.riskTolerance,
+            riskAversion: strategy.riskAversion,
+            maxSingleAllocation: strategy.maxSingleAllocation,
+            exposuresOf: protocol => this.dependencies.poolExposures(protocol),
+            capOf: key => this.dependencies.getCap(key, strategy),
+            minPositionSize: this.config.get('minPositionSize'),
+            maxPositions: this.config.get('maxPositions'),
+            covariance
+        });
+
+        const picks = weights.map(({ pool, weight }) => ({ pool, amount: weight * totalAmount }));
+        return this.summarizeAllocation(picks, strategy, totalAmount, 'mean-variance', market);
+    }
+
+    summarizeAllocation(picks, strategy, totalAmount, mode, market = null) {
+        const allocations = [];
+        let allocatedAmount = 0;
+        let totalYield = 0;
+        let totalNetYield = 0;
+        let totalRewardYield = 0;
+        let totalCosts = 0;
+        let totalRisk = 0;
+
+        for (const { pool, amount } of picks) {
+            const risk = this.calculateRisk(pool, strategy);
+            const grossAPY = pool.grossAPY !== undefined ? pool.grossAPY : pool.apy;
+            const grossPool = { ...pool, apy: grossAPY };
+            const costs = market ? this.costs.estimateCosts(grossPool, amount, market) : null;
+            const netAPY = market ? this.costs.calculateNetAPY(grossPool, amount, market) : grossAPY;
+
             allocations.push({
-                protocol: protocol.name,
-                amount: allocation,
-                percentage: (allocation / totalAmount) * 100,
-                expectedAPY: protocol.apy,
-                risk: this.calculateRisk(protocol, strategy)
+                protocol: pool.name,
+                amount,
+                percentage: (amount / totalAmount) * 100,
+                expectedAPY: grossAPY,
+                netAPY,
+                costs,
+                baseAPY: pool.baseAPY !== undefined ? pool.baseAPY : grossAPY,
+                rewardAPY: pool.rewardAPY || 0,
+                rewardTokens: pool.rewardTokens || [],
+                risk
             });
             
-            totalYield += allocation * protocol.apy;
-            totalRisk += (allocation / totalAmount) * this.calculateRisk(protocol, strategy);
-            remainingAmount -= allocation;
+            allocatedAmount += amount;
+            totalYield += amount * grossAPY;
+            totalNetYield += amount * netAPY;
+            totalRewardYield += amount * (pool.rewardAPY || 0);
+            totalCosts += costs ? costs.total : 0;
+            totalRisk += (amount / totalAmount) * risk;
         }
 
         return {
             strategy: strategy.name,
+            mode,
             allocations,
             totalAmount,
-            expectedYield: totalYield / totalAmount,
+            unallocated: Math.max(0, totalAmount - allocatedAmount),
+            expectedYield: totalAmount > 0 ? totalYield / totalAmount : 0,
+            netYield: totalAmount > 0 ? totalNetYield / totalAmount : 0,
+            totalCosts,
+            rewardYield: totalAmount > 0 ? totalRewardYield / totalAmount : 0,
+            rewardShare: totalYield > 0 ? totalRewardYield / totalYield : 0,
             averageRisk: totalRisk,
-            diversification: allocations.length
+            diversification: allocations.length,
+            exposure: this.dependencies.lookThrough(picks, totalAmount, strategy)
         };
     }
 
@@ -0,0 +1,223 @@
+// Custom strategies from JSON or YAML files. A file holds either one strategy (keyed by its `id`, or the
+// file name without extension) or several under `strategies: { <id>: {...} }`. Definitions use the same
+// fields as the built-in strategies and are validated against the config before they are registered.
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const RiskModel = require('./riskmodel');
+const { DECISION_RULES, FREQUENCY_MS } = require('./decisions');
+
+const DEFAULTS = {
+    description: 'Custom strategy',
+    maxSingleAllocation: 0.4,
+    rebalanceFrequency: 'weekly',
+    riskAversion: 4,
+    decision: { rule: 'periodic-rebalance' }
+};
+
+const REQUIRED_FIELDS = ['riskTolerance', 'minAPY', 'preferredProtocols'];
+
+const FIELDS = [
+    'id',
+    'name',
+    'description',
+    'riskTolerance',
+    'minAPY',
+    'maxSingleAllocation',
+    'preferredProtocols',
+    'allowedChains',
+    'allowedAssets',
+    'maxSingleProtocolAllocation',
+    'maxSingleAssetExposure',
+    'rebalanceFrequency',
+    'riskAversion',
+    'scoringWeights',
+    'decision'
+];
+
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+function parseStrategyFile(filePath) {
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read strategy file ${filePath}: ${error.message}`);
+    }
+
+    const extension = path.extname(filePath).toLowerCase();
+    try {
+        if (extension === '.json') return JSON.parse(text);
+        if (extension === '.yaml' || extension === '.yml') return yaml.load(text);
+    } catch (error) {
+        throw new Error(`Cannot parse strategy file ${filePath}: ${error.message}`);
+    }
+    throw new Error(`Strategy file ${filePath} must end in .json, .yaml or .yml`);
+}
+
+// { id: definition } for every strategy in a parsed file
+function collectDefinitions(document, filePath) {
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+        throw new Error(`Strategy file ${filePath} must contain an object`);
+    }
+
+    if (document.strategies !== undefined) {
+        if (!document.strategies || typeof document.strategies !== 'object' || Array.isArray(document.strategies)) {
+            throw new Error(`Strategy file ${filePath}: strategies must map ids to strategy definitions`);
+        }
+        return document.strategies;
+    }
+
+    const id = document.id || path.basename(filePath, path.extname(filePath));
+    return { [id]: document };
+}
+
+function isFraction(value) {
+    return typeof value === 'number' && value > 0 && value <= 1;
+}
+
+function checkNumber(problems, definition, field, check, message) {
+    if (definition[field] !== undefined && !check(definition[field])) {
+        problems.push(`${field} ${message} (got ${JSON.stringify(definition[field])})`);
+    }
+}
+
+// Chains may be given by id or by name from the chains setting
+function resolveChain(chain, config) {
+    const chains = config.get('chains');
+    if (chains[chain]) return Number(chain);
+
+    const id = Object.keys(chains).find(key => chains[key].name === String(chain).toLowerCase());
+    return id !== undefined ? Number(id) : null;
+}
+
+function knownProtocols(config) {
+    return [...new Set([...config.get('defaultProtocols'), ...Object.keys(config.get('protocolDependencies'))])];
+}
+
+// Returns the strategy as the optimizer, backtests and CLI use it, or throws one error listing every problem
+function validateStrategy(id, definition, config, source = null) {
+    const where = source ? `Strategy "${id}" in ${source}` : `Strategy "${id}"`;
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        throw new Error(`${where} must be an object`);
+    }
+
+    const problems = [];
+    if (!ID_PATTERN.test(id)) {
+        problems.push('id may only contain letters, digits, "-" and "_"');
+    }
+
+    for (const field of Object.keys(definition)) {
+        if (!FIELDS.includes(field)) {
+            problems.push(`unknown field ${field}`);
+        }
+    }
+    for (const field of REQUIRED_FIELDS) {
+        if (definition[field] === undefined) {
+            problems.push(`${field} is required`);
+        }
+    }
+
+    for (const field of ['name', 'description']) {
+        if (definition[field] !== undefined && typeof definition[field] !== 'string') {
+            problems.push(`${field} must be a string`);
+        }
+    }
+
+    checkNumber(problems, definition, 'riskTolerance', isFraction, 'must be above 0 and at most 1');
+    checkNumber(problems, definition, 'minAPY', value => typeof value === 'number' && value >= 0, 'must be a number of at least 0');
+    checkNumber(problems, definition, 'maxSingleAllocation', isFraction, 'must be above 0 and at most 1');
+    checkNumber(problems, definition, 'maxSingleProtocolAllocation', isFraction, 'must be above 0 and at most 1');
+    checkNumber(problems, definition, 'maxSingleAssetExposure', isFraction, 'must be above 0 and at most 1');
+    checkNumber(problems, definition, 'riskAversion', value => typeof value === 'number' && value >= 0, 'must be a number of at least 0');
+
+    if (definition.preferredProtocols !== undefined) {
+        const protocols = knownProtocols(config);
+        if (!Array.isArray(definition.preferredProtocols) || definition.preferredProtocols.length === 0) {
+            problems.push('preferredProtocols must be a non-empty list of protocol ids');
+        } else {
+            for (const protocol of definition.preferredProtocols) {
+                if (!protocols.includes(protocol)) {
+                    problems.push(`unknown protocol ${protocol} in preferredProtocols. Known: ${protocols.join(', ')}`);
+                }
+            }
+        }
+    }
+
+    let allowedChains;
+    if (definition.allowedChains !== undefined) {
+        if (!Array.isArray(definition.allowedChains) || definition.allowedChains.length === 0) {
+            problems.push('allowedChains must be a non-empty list of chain ids or names');
+        } else {
+            allowedChains = definition.allowedChains.map(chain => {
+                const chainId = resolveChain(chain, config);
+                if (chainId === null) {
+                    const known = Object.entries(config.get('chains')).map(([key, { name }]) => `${key} (${name})`);
+                    problems.push(`unknown chain ${chain} in allowedChains. Known: ${known.join(', ')}`);
+                }
+                return chainId;
+            });
+        }
+    }
+
+    if (definition.allowedAssets !== undefined &&
+        (!Array.isArray(definition.allowedAssets) || definition.allowedAssets.length === 0 ||
+            !definition.allowedAssets.every(asset => typeof asset === 'string'))) {
+        problems.push('allowedAssets must be a non-empty list of token symbols');
+    }
+
+    if (definition.rebalanceFrequency !== undefined && !FREQUENCY_MS[definition.rebalanceFrequency] &&
+        !(typeof definition.rebalanceFrequency === 'number' && definition.rebalanceFrequency > 0)) {
+        problems.push(`rebalanceFrequency must be one of ${Object.keys(FREQUENCY_MS).join(', ')} or a number of milliseconds`);
+    }
+
+    if (definition.scoringWeights !== undefined) {
+        if (!definition.scoringWeights || typeof definition.scoringWeights !== 'object' || Array.isArray(definition.scoringWeights)) {
+            problems.push('scoringWeights must map risk factors to weights');
+        } else {
+            for (const [component, weight] of Object.entries(definition.scoringWeights)) {
+                if (!RiskModel.FACTORS.includes(component)) {
+                    problems.push(`unknown scoring weight ${component}. Use any of: ${RiskModel.FACTORS.join(', ')}`);
+                } else if (typeof weight !== 'number' || weight < 0) {
+                    problems.push(`scoring weight ${component} must be a number of at least 0`);
+                }
+            }
+        }
+    }
+
+    if (definition.decision !== undefined) {
+        const rule = typeof definition.decision === 'string' ? definition.decision : definition.decision && definition.decision.rule;
+        if (!DECISION_RULES[rule]) {
+            problems.push(`decision rule must be one of ${Object.keys(DECISION_RULES).join(', ')}`);
+        } else if (definition.decision.options !== undefined &&
+            (typeof definition.decision.options !== 'object' || Array.isArray(definition.decision.options))) {
+            problems.push('decision options must be an object');
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`${where} is invalid:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    const strategy = { ...DEFAULTS, name: id, ...definition };
+    delete strategy.id;
+    if (allowedChains) strategy.allowedChains = allowedChains;
+    if (typeof strategy.decision === 'string') strategy.decision = { rule: strategy.decision };
+    if (source) strategy.source = source;
+    return strategy;
+}
+
+// Parses and validates every strategy in a file; nothing is returned unless all of them are valid
+function loadStrategyFile(filePath, config) {
+    const definitions = collectDefinitions(parseStrategyFile(filePath), filePath);
+    return Object.entries(definitions).map(([id, definition]) => ({
+        id,
+        strategy: validateStrategy(id, definition, config, filePath)
+    }));
+}
+
+module.exports = {
+    parseStrategyFile,
+    validateStrategy,
+    loadStrategyFile
+};
@@ -0,0 +1,242 @@
+const BacktestEngine = require('./backtest');
+const { seededRandom } = require('./random');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Strategy parameters a sweep may vary; anything else in a space is rejected so typos do not sweep nothing
+const SWEEP_PARAMETERS = ['riskTolerance', 'minAPY', 'maxSingleAllocation', 'rebalanceFrequency'];
+
+const DEFAULT_SPACE = {
+    riskTolerance: [0.3, 0.6, 0.9],
+    minAPY: [0.02, 0.05, 0.1],
+    maxSingleAllocation: [0.25, 0.4, 0.6],
+    rebalanceFrequency: ['daily', 'weekly']
+};
+
+const RANK_METRICS = {
+    sharpe: { field: 'sharpeRatio', higherIsBetter: true },
+    drawdown: { field: 'maxDrawdown', higherIsBetter: false },
+    return: { field: 'totalReturn', higherIsBetter: true }
+};
+
+class ParameterSweep {
+    // frames are BacktestEngine frames (TimeSeriesStore.toBacktestData); engineOptions are passed to every
+    // BacktestEngine run (costModel, market, withdrawalDelays) so results are net of execution costs
+    constructor(strategies, frames, options = {}) {
+        this.strategies = strategies;
+        this.frames = frames;
+        this.engineOptions = { ...(options.engineOptions || {}), quiet: true };
+        this.initialCapital = options.initialCapital || 10000;
+    }
+
+    validateSpace(space) {
+        const names = Object.keys(space);
+        if (names.length === 0) {
+            throw new Error('Parameter space is empty');
+        }
+
+        for (const name of names) {
+            if (!SWEEP_PARAMETERS.includes(name)) {
+                throw new Error(`Cannot sweep ${name}. Use any of: ${SWEEP_PARAMETERS.join(', ')}`);
+            }
+
+            const values = space[name];
+            const isRange = values && !Array.isArray(values) && Number.isFinite(values.min) && Number.isFinite(values.max);
+            if (!isRange && !(Array.isArray(values) && values.length > 0)) {
+                throw new Error(`Parameter ${name} needs a non-empty list of values or a { min, max } range`);
+            }
+        }
+    }
+
+    // Only periodic-rebalance reads rebalanceFrequency, and not when its options fix a frequency. A decision
+    // function may read anything
+    usesRebalanceFrequency(strategyName) {
+        const decision = this.strategies.getStrategy(strategyName).decision || 'momentum';
+        if (typeof decision === 'function') return true;
+
+        const spec = typeof decision === 'string' ? { rule: decision } : decision;
+        return spec.rule === 'periodic-rebalance' && !(spec.options && spec.options.frequency);
+    }
+
+    // DEFAULT_SPACE less the parameters the strategy's decision rule ignores
+    defaultSpace(strategyName) {
+        const space = { ...DEFAULT_SPACE };
+        if (!this.usesRebalanceFrequency(strategyName)) delete space.rebalanceFrequency;
+        return space;
+    }
+
+    // Drops parameters the strategy's decision rule ignores and keeps one of each resulting parameter set, so
+    // no two candidates run the same backtests and split a tie in the ranking
+    distinct(strategyName, candidates) {
+        const unique = new Map();
+        for (const params of candidates) {
+            const used = { ...params };
+            if (!this.usesRebalanceFrequency(strategyName)) delete used.rebalanceFrequency;
+            unique.set(JSON.stringify(used), used);
+        }
+        return Array.from(unique.values());
+    }
+
+    // Every combination of the listed values; { min, max } ranges only make sense for a random search
+    grid(space = DEFAULT_SPACE) {
+        this.validateSpace(space);
+
+        let combinations = [{}];
+        for (const [name, values] of Object.entries(space)) {
+            if (!Array.isArray(values)) {
+                throw new Error(`Grid search needs a list of values for ${name}, not a range`);
+            }
+            combinations = combinations.flatMap(params => values.map(value => ({ ...params, [name]: value })));
+        }
+        return combinations;
+    }
+
+    // `count` samples: list parameters pick one of their values, ranges draw uniformly from [min, max]
+    random(space = DEFAULT_SPACE, count = 20, seed = 1) {
+        this.validateSpace(space);
+
+        const rand = seededRandom(seed);
+        const samples = [];
+        for (let i = 0; i < count; i++) {
+            const params = {};
+            for (const [name, values] of Object.entries(space)) {
+                params[name] = Array.isArray(values)
+                    ? values[Math.floor(rand() * values.length)]
+                    : values.min + rand() * (values.max - values.min);
+            }
+            samples.push(params);
+        }
+        return samples;
+    }
+
+    // Rolling train/test windows over the frames: train for trainDays, test on the following testDays,
+    // then step forward (by testDays unless stepDays is given) until the data runs out
+    windows(trainDays = 60, testDays = 30, stepDays = testDays) {
+        if (this.frames.length === 0) {
+            throw new Error('No historical data to sweep over');
+        }
+
+        const first = this.frames[0].timestamp;
+        const last = this.frames[this.frames.length - 1].timestamp;
+        const windows = [];
+
+        for (let start = first; start + (trainDays + testDays) * DAY_MS <= last + DAY_MS; start += stepDays * DAY_MS) {
+            const trainEnd = start + trainDays * DAY_MS;
+            windows.push({
+                train: { start: new Date(start), end: new Date(trainEnd - 1) },
+                test: { start: new Date(trainEnd), end: new Date(trainEnd + testDays * DAY_MS - 1) }
+            });
+        }
+
+        if (windows.length === 0) {
+            const days = Math.round((last - first) / DAY_MS) + 1;
+            throw new Error(`${days} days of history is too short for a ${trainDays}-day train and ${testDays}-day test window`);
+        }
+        return windows;
+    }
+
+    // A view of the strategies with `params` applied to one strategy; allocation and costs are shared
+    withParams(strategyName, params) {
+        const variant = Object.create(this.strategies);
+        variant.strategies = new Map(this.strategies.strategies);
+        variant.strategies.set(strategyName, { ...this.strategies.getStrategy(strategyName), ...params });
+        return variant;
+    }
+
+    async evaluate(strategyName, params, period) {
+        const engine = new BacktestEngine(this.withParams(strategyName, params), this.frames, this.engineOptions);
+        const results = await engine.runBacktest(strategyName, period.start, period.end, this.initialCapital);
+
+        return {
+            totalReturn: results.totalReturn,
+            sharpeRatio: results.sharpeRatio,
+            maxDrawdown: results.maxDrawdown,
+            costs: results.costs.total,
+            trades: results.trades.length
+        };
+    }
+
+    average(metrics) {
+        const fields = ['totalReturn', 'sharpeRatio', 'maxDrawdown', 'costs', 'trades'];
+        const averaged = {};
+        for (const field of fields) {
+            averaged[field] = metrics.reduce((sum, m) => sum + m[field], 0) / metrics.length;
+        }
+        return averaged;
+    }
+
+    // Orders entries by one metric, or by their average rank across Sharpe, drawdown and net return
+    rank(entries, rankBy = 'composite', key = 'train') {
+        if (rankBy !== 'composite' && !RANK_METRICS[rankBy]) {
+            throw new Error(`Unknown ranking ${rankBy}. Use composite, ${Object.keys(RANK_METRICS).join(', ')}`);
+        }
+
+        const metrics = rankBy === 'composite' ? Object.values(RANK_METRICS) : [RANK_METRICS[rankBy]];
+        const score = new Map(entries.map(entry => [entry, 0]));
+
+        for (const { field, higherIsBetter } of metrics) {
+            const sorted = [...entries].sort((a, b) => higherIsBetter
+                ? b[key][field] - a[key][field]
+                : a[key][field] - b[key][field]);
+            sorted.forEach((entry, position) => score.set(entry, score.get(entry) + position));
+        }
+
+        return [...entries].sort((a, b) => score.get(a) - score.get(b));
+    }
+
+    // Runs every candidate on every window. Each window picks its best candidate on the train period and
+    // reports that choice's test-period stats (the walk-forward, out-of-sample result); candidates are
+    // ranked on their average train stats with their average test stats alongside
+    async run(strategyName, candidates, options = {}) {
+        if (!this.strategies.getStrategy(strategyName)) {
+            throw new Error(`Strategy ${strategyName} not found`);
+        }
+        candidates = this.distinct(strategyName, candidates);
+        if (candidates.length === 0) {
+            throw new Error('No parameter sets to evaluate');
+        }
+
+        const rankBy = options.rankBy || 'composite';
+        const windows = this.windows(options.trainDays, options.testDays, options.stepDays);
+        const perCandidate = candidates.map(params => ({ params, train: [], test: [] }));
+        const walkForward = [];
+
+        for (const window of windows) {
+            const scored = [];
+            for (const candidate of perCandidate) {
+                const train = await this.evaluate(strategyName, candidate.params, window.train);
+                const test = await this.evaluate(strategyName, candidate.params, window.test);
+                candidate.train.push(train);
+                candidate.test.push(test);
+                scored.push({ params: candidate.params, train, test });
+            }
+
+            const best = this.rank(scored, rankBy)[0];
+            // Each period keeps its dates alongside the chosen candidate's stats for it
+            walkForward.push({
+                params: best.params,
+                train: { ...window.train, ...best.train },
+                test: { ...window.test, ...best.test }
+            });
+        }
+
+        const ranked = this.rank(perCandidate.map(candidate => ({
+            params: candidate.params,
+            train: this.average(candidate.train),
+            test: this.average(candidate.test)
+        })), rankBy);
+
+        return {
+            strategy: strategyName,
+            rankBy,
+            candidates: ranked.length,
+            windows: walkForward,
+            outOfSample: this.average(walkForward.map(window => window.test)),
+            best: ranked.slice(0, options.top || 5)
+        };
+    }
+}
+
+ParameterSweep.DEFAULT_SPACE = DEFAULT_SPACE;
+
+module.exports = ParameterSweep;
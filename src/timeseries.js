@@ -0,0 +1,341 @@
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+
+// Pool fields kept with every point so a frame can stand in for a live pool record. tokens, reserves and
+// pairAddress are AMM pool data, needed for impermanent loss risk
+const POOL_FIELDS = ['protocol', 'protocolId', 'chainId', 'token', 'audited', 'ageInDays', 'baseAPY', 'rewardAPY',
+    'tokens', 'reserves', 'pairAddress'];
+const CSV_NUMBER_FIELDS = ['apy', 'tvl', 'price', 'chainId', 'ageInDays', 'baseAPY', 'rewardAPY', 'gasPriceGwei', 'ethPriceUsd'];
+// List fields hold their values in one CSV cell separated by "/", e.g. USDC/WETH
+const CSV_LIST_FIELDS = ['tokens', 'reserves'];
+
+class TimeSeriesStore {
+    constructor(filePath = null) {
+        // One JSON point per line so recording a snapshot is an append, not a rewrite.
+        // Without a file path the series live in memory only
+        this.filePath = filePath;
+        this.points = [];
+        // Gas and ETH price readings, kept apart from pool points: { type: 'market', timestamp, gasPriceGwei, ethPriceUsd }
+        this.marketPoints = [];
+        this.keys = new Set();
+        this.load();
+    }
+
+    load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+        const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+        lines.forEach((line, i) => {
+            if (!line.trim()) return;
+            try {
+                this.addPoint(JSON.parse(line));
+            } catch (error) {
+                // A crash mid-append can leave a partial last line; skip it rather than lose the store
+                console.warn(`Skipping unreadable line ${i + 1} of ${this.filePath}: ${error.message}`);
+            }
+        });
+        this.sortPoints();
+    }
+
+    persist(points) {
+        if (!this.filePath || points.length === 0) return;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.appendFileSync(this.filePath, points.map(point => JSON.stringify(point)).join('\n') + '\n');
+    }
+
+    // Adds a point unless the same pool (or the market) already has one at that timestamp; returns whether it was new
+    addPoint(point) {
+        const key = `${point.type === 'market' ? 'market' : point.pool}|${point.timestamp}`;
+        if (this.keys.has(key)) return false;
+
+        this.keys.add(key);
+        (point.type === 'market' ? this.marketPoints : this.points).push(point);
+        return true;
+    }
+
+    sortPoints() {
+        this.points.sort((a, b) => a.timestamp - b.timestamp);
+        this.marketPoints.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    parseTimestamp(value) {
+        return typeof value === 'number' || /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+    }
+
+    normalizeMarketPoint(raw) {
+        const point = {
+            type: 'market',
+            timestamp: this.parseTimestamp(raw.timestamp),
+            gasPriceGwei: Number(raw.gasPriceGwei),
+            ethPriceUsd: Number(raw.ethPriceUsd)
+        };
+
+        if (!Number.isFinite(point.timestamp) || !Number.isFinite(point.gasPriceGwei) || !Number.isFinite(point.ethPriceUsd)) {
+            throw new Error(`Market point needs timestamp, gasPriceGwei and ethPriceUsd: ${JSON.stringify(raw)}`);
+        }
+        return point;
+    }
+
+    normalizePoint(raw) {
+        if (raw.type === 'market' || (raw.pool === undefined && raw.gasPriceGwei !== undefined)) {
+            return this.normalizeMarketPoint(raw);
+        }
+
+        const timestamp = this.parseTimestamp(raw.timestamp);
+
+        if (!raw.pool || !Number.isFinite(timestamp)) {
+            throw new Error(`History point needs a pool and a timestamp: ${JSON.stringify(raw)}`);
+        }
+        if (!Number.isFinite(Number(raw.apy))) {
+            throw new Error(`History point for ${raw.pool} at ${raw.timestamp} has no numeric apy`);
+        }
+
+        const point = {
+            timestamp,
+            pool: raw.pool,
+            apy: Number(raw.apy),
+            tvl: raw.tvl !== undefined && raw.tvl !== '' ? Number(raw.tvl) : null,
+            price: raw.price !== undefined && raw.price !== '' && raw.price !== null ? Number(raw.price) : null
+        };
+
+        for (const field of POOL_FIELDS) {
+            if (raw[field] !== undefined && raw[field] !== '') point[field] = raw[field];
+        }
+
+        return point;
+    }
+
+    // Records one fetched snapshot; prices map token symbols to USD
+    record(pools, prices = {}, timestamp = Date.now()) {
+        const added = [];
+
+        for (const pool of pools) {
+            const point = this.normalizePoint({
+                ...pool,
+                timestamp,
+                pool: pool.name,
+                price: prices[pool.token] !== undefined ? prices[pool.token] : null
+            });
+
+            if (this.addPoint(point)) added.push(point);
+        }
+
+        this.sortPoints();
+        this.persist(added);
+        return added.length;
+    }
+
+    // Records the gas and ETH price a snapshot was costed with (CostModel.loadMarketConditions output)
+    recordMarket(market, timestamp = Date.now()) {
+        if (!market) return false;
+
+        const point = this.normalizeMarketPoint({ timestamp, gasPriceGwei: market.gasPriceGwei, ethPriceUsd: market.ethPriceUsd });
+        const added = this.addPoint(point);
+        if (added) {
+            this.sortPoints();
+            this.persist([point]);
+        }
+        return added;
+    }
+
+    // Latest market reading at or before `time`
+    getMarketAt(time) {
+        const target = this.toTime(time);
+        let market = null;
+        for (const point of this.marketPoints) {
+            if (point.timestamp > target) break;
+            market = point;
+        }
+        return market && { gasPriceGwei: market.gasPriceGwei, ethPriceUsd: market.ethPriceUsd };
+    }
+
+    // Imports a history file: a JSON array of points (or { points: [...] }), or a CSV with a header row.
+    // Points need pool, timestamp (ms or ISO) and apy; tvl, price and the pool fields are optional.
+    // Rows with gasPriceGwei and ethPriceUsd instead of a pool are imported as market readings
+    importFile(filePath) {
+        const contents = fs.readFileSync(filePath, 'utf8');
+        const rows = path.extname(filePath).toLowerCase() === '.csv'
+            ? this.parseCSV(contents)
+            : this.parseJSON(contents);
+
+        const added = [];
+        for (const row of rows) {
+            const point = this.normalizePoint(row);
+            if (this.addPoint(point)) added.push(point);
+        }
+
+        this.sortPoints();
+        this.persist(added);
+        return { read: rows.length, added: added.length };
+    }
+
+    parseJSON(contents) {
+        const data = JSON.parse(contents);
+        const rows = Array.isArray(data) ? data : data.points;
+        if (!Array.isArray(rows)) {
+            throw new Error('History JSON must be an array of points or an object with a points array');
+        }
+        return rows;
+    }
+
+    parseCSV(contents) {
+        const lines = contents.split(/\r?\n/).filter(line => line.trim());
+        if (lines.length === 0) return [];
+
+        const headers = lines[0].split(',').map(header => header.trim());
+        const isMarket = !headers.includes('pool') && headers.includes('gasPriceGwei');
+        for (const required of isMarket ? ['timestamp', 'gasPriceGwei', 'ethPriceUsd'] : ['timestamp', 'pool', 'apy']) {
+            if (!headers.includes(required)) {
+                throw new Error(`History CSV is missing a ${required} column`);
+            }
+        }
+
+        return lines.slice(1).map(line => {
+            const values = line.split(',').map(value => value.trim());
+            const row = {};
+
+            headers.forEach((header, i) => {
+                const value = values[i];
+                if (value === undefined || value === '') return;
+
+                if (CSV_NUMBER_FIELDS.includes(header)) {
+                    row[header] = Number(value);
+                } else if (header === 'audited') {
+                    row[header] = value === 'true';
+                } else if (CSV_LIST_FIELDS.includes(header)) {
+                    row[header] = value.split('/').map(item => (header === 'reserves' ? Number(item) : item.trim()));
+                } else {
+                    row[header] = value;
+                }
+            });
+
+            return row;
+        });
+    }
+
+    toTime(value) {
+        if (value === undefined || value === null) return null;
+        return value instanceof Date ? value.getTime() : new Date(value).getTime();
+    }
+
+    // Points in time order, filtered by pool, protocolId, chainId and an inclusive [start, end] range
+    query(filter = {}) {
+        const start = this.toTime(filter.start);
+        const end = this.toTime(filter.end);
+
+        return this.points.filter(point => {
+            if (filter.pool && point.pool !== filter.pool) return false;
+            if (filter.protocolId && point.protocolId !== filter.protocolId) return false;
+            if (filter.chainId && (point.chainId || 1) !== filter.chainId) return false;
+            if (start !== null && point.timestamp < start) return false;
+            if (end !== null && point.timestamp > end) return false;
+            return true;
+        });
+    }
+
+    getPools() {
+        return [...new Set(this.points.map(point => point.pool))];
+    }
+
+    getRange() {
+        if (this.points.length === 0) return null;
+        return {
+            start: new Date(this.points[0].timestamp),
+            end: new Date(this.points[this.points.length - 1].timestamp)
+        };
+    }
+
+    getSeries(pool, field, start, end) {
+        return this.query({ pool, start, end })
+            .filter(point => point[field] !== null && point[field] !== undefined)
+            .map(point => ({ timestamp: point.timestamp, value: point[field] }));
+    }
+
+    // Plain price list, as RiskAssessment.calculateVolatilityRisk expects
+    getPriceHistory(pool, start, end) {
+        return this.getSeries(pool, 'price', start, end).map(point => point.value);
+    }
+
+    // Recorded USD prices of one token across every pool that holds it, one per timestamp
+    getTokenPriceHistory(token, start, end) {
+        const byTime = new Map();
+        for (const point of this.query({ start, end })) {
+            if (point.token === token && point.price !== null && point.price !== undefined) {
+                byTime.set(point.timestamp, point.price);
+            }
+        }
+        return [...byTime.values()];
+    }
+
+    // Value of `initialValue` held in the pool: the token price move plus yield compounded at each
+    // point's APY until the next point. Feed it to PerformanceAnalytics.addDataPoint
+    getTotalReturnIndex(pool, start, end, initialValue = 1) {
+        const points = this.query({ pool, start, end });
+        const index = [];
+        let growth = 1;
+
+        points.forEach((point, i) => {
+            if (i > 0) {
+                const previous = points[i - 1];
+                growth *= Math.pow(1 + previous.apy, (point.timestamp - previous.timestamp) / YEAR_MS);
+            }
+
+            const firstPrice = points[0].price;
+            const priceRatio = firstPrice && point.price ? point.price / firstPrice : 1;
+            index.push({ timestamp: point.timestamp, value: initialValue * growth * priceRatio });
+        });
+
+        return index;
+    }
+
+    // Groups points into frames of `interval` ms in the shape BacktestEngine replays:
+    // { timestamp, protocols, prices, signals, market }. Each pool contributes its last point in the frame;
+    // prices are keyed by pool name, signals.momentum is the average relative APY change vs. the previous
+    // frame, and market is the last gas reading up to the end of the frame (null if none was recorded)
+    toBacktestData(start, end, interval = DAY_MS) {
+        const buckets = new Map();
+
+        for (const point of this.query({ start, end })) {
+            const bucket = Math.floor(point.timestamp / interval) * interval;
+            if (!buckets.has(bucket)) buckets.set(bucket, new Map());
+            buckets.get(bucket).set(point.pool, point);
+        }
+
+        const frames = [];
+        let previous = null;
+
+        for (const [timestamp, pools] of [...buckets.entries()].sort((a, b) => a[0] - b[0])) {
+            const protocols = [];
+            const prices = {};
+            const changes = [];
+
+            for (const point of pools.values()) {
+                const { timestamp: pointTime, pool, price, ...fields } = point;
+                protocols.push({ name: pool, ...fields, protocol: point.protocol || pool, recordedAt: pointTime });
+                if (price !== null) prices[pool] = price;
+
+                const before = previous && previous.get(pool);
+                if (before && before.apy > 0) changes.push(point.apy / before.apy - 1);
+            }
+
+            frames.push({
+                timestamp,
+                protocols,
+                prices,
+                signals: {
+                    momentum: changes.length > 0 ? changes.reduce((sum, c) => sum + c, 0) / changes.length : 0
+                },
+                market: this.getMarketAt(timestamp + interval - 1)
+            });
+            previous = pools;
+        }
+
+        return frames;
+    }
+}
+
+module.exports = TimeSeriesStore;
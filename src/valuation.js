@@ -0,0 +1,46 @@
+class PositionValuator {
+    constructor(portfolio, options = {}) {
+        this.portfolio = portfolio;
+        this.api = options.api;
+        this.analytics = options.analytics || null;
+        // Returns the latest pool records so accrual uses current APYs
+        this.getPools = options.getPools || (() => []);
+        this.timer = null;
+    }
+
+    async revalue(prices = null, asOf = new Date()) {
+        // LP positions are priced from their two underlying tokens
+        const tokens = [...new Set(this.portfolio.positions.flatMap(pos => (pos.lp ? pos.lp.tokens : [pos.protocol.token])))];
+        const priceMap = prices || await this.api.fetchTokenPrices(tokens);
+
+        this.portfolio.revalue(priceMap, this.getPools(), asOf);
+
+        if (this.analytics && this.portfolio.positions.length > 0) {
+            this.analytics.addDataPoint(asOf.getTime(), this.portfolio.totalValue);
+        }
+
+        return this.portfolio.positions;
+    }
+
+    start(interval) {
+        this.stop();
+        this.timer = setInterval(() => {
+            this.revalue().catch(error => {
+                console.error('Scheduled revaluation failed:', error.message);
+            });
+        }, interval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    isRunning() {
+        return this.timer !== null;
+    }
+}
+
+module.exports = PositionValuator;
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const BacktestEngine = require('../src/backtest');
+const CostModel = require('../src/costs');
+const YieldFarmingStrategies = require('../src/strategies');
+const { ConfigManager } = require('../config/settings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+// A year of daily frames over five stablecoin pools whose APYs jump up to 20% either way every day
+function noisyFrames(days = 365, seed = 1) {
+    let state = seed;
+    const random = () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+
+    const pools = ['Aave', 'Compound', 'Yearn', 'Curve', 'Morpho'].map((protocol, i) => ({
+        name: `${protocol} USDC`,
+        protocol,
+        protocolId: protocol.toLowerCase(),
+        token: 'USDC',
+        chainId: 1,
+        tvl: 100000000,
+        audited: true,
+        ageInDays: 900,
+        baseAPY: 0.04 + i * 0.005
+    }));
+
+    return Array.from({ length: days }, (_, day) => ({
+        timestamp: START + day * DAY_MS,
+        protocols: pools.map(({ baseAPY, ...pool }) => ({ ...pool, apy: baseAPY * (1 + (random() - 0.5) * 0.4) })),
+        prices: {},
+        signals: { momentum: 0 },
+        market: { gasPriceGwei: 30, ethPriceUsd: 2000 }
+    }));
+}
+
+test('rebalancing rules do not trade a noisy book away in costs', async () => {
+    const config = new ConfigManager({}, { env: {} });
+    const strategies = new YieldFarmingStrategies(config);
+    const frames = noisyFrames();
+
+    for (const rule of ['threshold-rebalance', 'periodic-rebalance', 'yield-chasing']) {
+        const engine = new BacktestEngine(strategies, frames, { costModel: new CostModel(config), quiet: true });
+        engine.useDecision('moderate', rule);
+        const results = await engine.runBacktest('moderate', new Date(START), new Date(START + 364 * DAY_MS), 10000);
+
+        // Trading every swing in the ranking makes several hundred trades and spends over $4,000
+        assert.ok(results.trades.length < 100, `${rule} made ${results.trades.length} trades`);
+        assert.ok(results.costs.total < 1000, `${rule} spent $${results.costs.total.toFixed(2)} on costs`);
+        assert.ok(results.finalCapital > 9500, `${rule} ended at $${results.finalCapital.toFixed(2)}`);
+    }
+});
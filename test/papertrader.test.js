@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PaperTrader = require('../src/papertrader');
+const TimeSeriesStore = require('../src/timeseries');
+const CostModel = require('../src/costs');
+const RebalancePlanner = require('../src/rebalancer');
+const YieldFarmingStrategies = require('../src/strategies');
+const { ConfigManager } = require('../config/settings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+const DAYS = 60;
+const MARKET = { gasPriceGwei: 30, ethPriceUsd: 2000 };
+
+// Two months of daily snapshots of three stablecoin pools with drifting APYs, in an in-memory store
+function recordedHistory() {
+    const timeSeries = new TimeSeriesStore();
+    const pools = ['Aave', 'Compound', 'Yearn'].map((protocol, i) => ({
+        name: `${protocol} USDC`,
+        protocol,
+        protocolId: protocol.toLowerCase(),
+        token: 'USDC',
+        chainId: 1,
+        tvl: 100000000,
+        audited: true,
+        ageInDays: 900,
+        apy: 0.05 + i * 0.01
+    }));
+
+    for (let day = 0; day < DAYS; day++) {
+        const timestamp = START + day * DAY_MS;
+        timeSeries.record(pools.map((pool, i) => ({ ...pool, apy: pool.apy + 0.02 * Math.sin(day / 5 + i * 2) })), { USDC: 1 }, timestamp);
+        timeSeries.recordMarket(MARKET, timestamp);
+    }
+    return timeSeries;
+}
+
+function paperTrader(strategyName) {
+    const config = new ConfigManager({}, { env: {} });
+    const costModel = new CostModel(config);
+    const strategies = new YieldFarmingStrategies(config);
+    const paper = new PaperTrader(config, strategies, { timeSeries: recordedHistory(), costModel, filePath: null });
+    paper.start(strategyName, 10000, START);
+    return { paper, config, costModel, strategies };
+}
+
+test('a paper run with no manual plans scores the same as a backtest over its days', async () => {
+    for (const strategyName of ['conservative', 'moderate', 'aggressive']) {
+        const { paper } = paperTrader(strategyName);
+        paper.step(START + DAYS * DAY_MS, MARKET);
+
+        const { results } = paper.getReport();
+        const backtest = (await paper.compareWithBacktest()).results;
+
+        assert.strictEqual(results.portfolioHistory.length, DAYS);
+        assert.strictEqual(results.portfolioHistory.length, backtest.portfolioHistory.length);
+        assert.strictEqual(results.trades.length, backtest.trades.length);
+        assert.strictEqual(results.finalCapital, backtest.finalCapital);
+        assert.strictEqual(results.sharpeRatio, backtest.sharpeRatio);
+        assert.strictEqual(results.maxDrawdown, backtest.maxDrawdown);
+        assert.deepStrictEqual(results.dailyReturns, backtest.dailyReturns);
+    }
+});
+
+test('plan fills replace the day\'s value point instead of adding a return sample', () => {
+    const { paper, config, costModel, strategies } = paperTrader('moderate');
+    paper.step(START + 30 * DAY_MS, MARKET);
+    const { results } = paper.run;
+    const lastPoint = results.portfolioHistory[results.portfolioHistory.length - 1];
+
+    const planner = new RebalancePlanner(config, costModel);
+    const pools = paper.pools.map(pool => ({ ...pool, apy: pool.name === 'Aave USDC' ? 0.5 : pool.apy }));
+    const plan = planner.planForStrategy(paper.getPortfolio(), strategies, 'moderate', pools, { cash: paper.getCash(), market: MARKET });
+    const fills = paper.applyPlan(plan, MARKET);
+
+    assert.ok(fills.length > 0);
+    assert.ok(fills.every(trade => trade.date.getTime() === lastPoint.date.getTime()));
+    assert.strictEqual(results.portfolioHistory.length, 30);
+    assert.strictEqual(results.dailyReturns.length, 29);
+    assert.strictEqual(results.portfolioHistory[29].date.getTime(), lastPoint.date.getTime());
+    assert.strictEqual(results.portfolioHistory[29].totalValue, paper.getStatus().totalValue);
+    assert.ok(results.portfolioHistory[29].totalValue < lastPoint.totalValue);
+});
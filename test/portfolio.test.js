@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PortfolioManager = require('../src/portfolio');
+const PortfolioStore = require('../src/store');
+
+const POOL = { name: 'Aave USDC', protocol: 'Aave', protocolId: 'aave', token: 'USDC', apy: 0.04, tvl: 100000000 };
+const BAD_QUANTITIES = [0, -5, NaN, Infinity, -Infinity, '10', undefined];
+
+function openPortfolio() {
+    const portfolio = new PortfolioManager(new PortfolioStore());
+    const position = portfolio.addPosition(POOL, 1000, 1);
+    return { portfolio, position };
+}
+
+test('positions cannot be opened with a non-positive or non-finite amount or price', () => {
+    const portfolio = new PortfolioManager(new PortfolioStore());
+
+    for (const bad of BAD_QUANTITIES) {
+        assert.throws(() => portfolio.addPosition(POOL, bad, 1), /amount must be a finite number above 0/);
+        assert.throws(() => portfolio.addPosition(POOL, 100, bad), /price must be a finite number above 0/);
+    }
+    assert.strictEqual(portfolio.getLedger().length, 0);
+});
+
+test('deposits, withdrawals, harvests and fees reject bad quantities without touching the ledger', () => {
+    const { portfolio, position } = openPortfolio();
+
+    for (const bad of BAD_QUANTITIES) {
+        assert.throws(() => portfolio.deposit(position.id, bad, 1), /amount/);
+        assert.throws(() => portfolio.deposit(position.id, 100, bad), /price/);
+        assert.throws(() => portfolio.withdraw(position.id, bad, 1), /amount|Cannot withdraw/);
+        assert.throws(() => portfolio.withdraw(position.id, 100, bad), /price/);
+        assert.throws(() => portfolio.recordHarvest(position.id, bad), /value/);
+        assert.throws(() => portfolio.recordFee(position.id, bad), /value/);
+    }
+
+    assert.strictEqual(portfolio.getLedger().length, 1);
+    assert.strictEqual(portfolio.getPosition(position.id).amount, 1000);
+    assert.strictEqual(portfolio.getPosition(position.id).costBasis, 1000);
+});
+
+test('ledger edits reject bad amounts, prices and values', () => {
+    const { portfolio, position } = openPortfolio();
+    const [entry] = portfolio.getLedger();
+
+    for (const bad of BAD_QUANTITIES) {
+        assert.throws(() => portfolio.editEntry(entry.id, { amount: bad }), /amount/);
+        assert.throws(() => portfolio.editEntry(entry.id, { price: bad }), /price/);
+    }
+
+    portfolio.editEntry(entry.id, { amount: 1200 });
+    assert.strictEqual(portfolio.getPosition(position.id).amount, 1200);
+    assert.strictEqual(portfolio.store.getRawEntries().length, 2);
+});